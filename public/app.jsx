@@ -15,6 +15,11 @@ const DEFAULT_CONFIG = {
   lockZoom: false,
   fadeDuration: 0.5,
   motionStyle: 'ping-pong',
+  easing: 'ease-in-out',
+  easingCurve: [0.42, 0, 0.58, 1],
+  transition: 'fade',
+  framing: 'cover',
+  framingColor: '#000000',
   preset: 'custom'
 };
 
@@ -33,9 +38,138 @@ const MOTION_STYLES = [
   { id: 'zoom-out', label: 'Zoom Out Only' }
 ];
 
-// Minimum drag distance for future arrow/handle tooling to register.
+// Easing choices for a slide (and for each keyframe's incoming segment).
+const EASING_OPTIONS = [
+  { id: 'linear', label: 'Linear' },
+  { id: 'ease-in', label: 'Ease In' },
+  { id: 'ease-out', label: 'Ease Out' },
+  { id: 'ease-in-out', label: 'Ease In + Out' },
+  { id: 'custom', label: 'Custom Curve' }
+];
+
+// Caption styling choices (mirrors CAPTION_FONTS / CAPTION_POSITIONS / DEFAULT_CAPTION in render.js).
+const CAPTION_FONTS = [
+  { id: 'sans-serif', label: 'Sans' },
+  { id: 'serif', label: 'Serif' },
+  { id: 'monospace', label: 'Mono' }
+];
+
+const CAPTION_POSITIONS = [
+  { id: 'top-left', label: 'Top left' },
+  { id: 'top', label: 'Top' },
+  { id: 'top-right', label: 'Top right' },
+  { id: 'center', label: 'Center' },
+  { id: 'bottom-left', label: 'Bottom left' },
+  { id: 'bottom', label: 'Bottom' },
+  { id: 'bottom-right', label: 'Bottom right' }
+];
+
+const DEFAULT_CAPTION = {
+  text: '',
+  font: 'sans-serif',
+  size: 6,
+  color: '#ffffff',
+  position: 'bottom',
+  box: true,
+  boxColor: '#000000',
+  boxOpacity: 0.5,
+  fadeIn: 0.5,
+  fadeOut: 0.5
+};
+
+// Title/end card backgrounds and defaults (mirrors CARD_BACKGROUNDS / DEFAULT_CARD in render.js).
+const CARD_BACKGROUNDS = [
+  { id: 'solid', label: 'Solid color' },
+  { id: 'gradient', label: 'Gradient' },
+  { id: 'image', label: 'Blurred slide' }
+];
+
+const DEFAULT_CARD = {
+  title: '',
+  subtitle: '',
+  font: 'sans-serif',
+  textColor: '#ffffff',
+  background: 'gradient',
+  color: '#111827',
+  color2: '#1f4e8c',
+  angle: 135,
+  backgroundImageId: null,
+  blur: 40,
+  dim: 0.4
+};
+
+// FFmpeg xfade transitions a slide can use into the next one (mirrors TRANSITION_TYPES in server.js).
+const TRANSITION_OPTIONS = [
+  { id: 'fade', label: 'Crossfade' },
+  { id: 'dissolve', label: 'Dissolve' },
+  { id: 'fadeblack', label: 'Dip to Black' },
+  { id: 'fadewhite', label: 'Dip to White' },
+  { id: 'wipeleft', label: 'Wipe Left' },
+  { id: 'wiperight', label: 'Wipe Right' },
+  { id: 'wipeup', label: 'Wipe Up' },
+  { id: 'wipedown', label: 'Wipe Down' },
+  { id: 'slideleft', label: 'Slide Left' },
+  { id: 'slideright', label: 'Slide Right' },
+  { id: 'slideup', label: 'Slide Up' },
+  { id: 'slidedown', label: 'Slide Down' },
+  { id: 'circleopen', label: 'Circle Open' },
+  { id: 'circleclose', label: 'Circle Close' },
+  { id: 'radial', label: 'Radial' }
+];
+
+// How a slide whose aspect ratio differs from the output fills the frame (mirrors FRAMING_MODES in render.js).
+const FRAMING_OPTIONS = [
+  { id: 'cover', label: 'Fill frame (crop)' },
+  { id: 'contain-blur', label: 'Fit + blurred fill' },
+  { id: 'contain-color', label: 'Fit + solid color' }
+];
+const DEFAULT_FRAMING = 'cover';
+// Background blur as a fraction of the output's shorter side (mirrors FRAMING_BLUR in render.js).
+const FRAMING_BLUR = 0.03;
+
+// Output sizes offered per project; the server accepts any even width/height.
+const VIDEO_SIZE_PRESETS = [
+  { id: '720p', label: '720p landscape (1280x720)', width: 1280, height: 720 },
+  { id: '1080p', label: '1080p landscape (1920x1080)', width: 1920, height: 1080 },
+  { id: '4k', label: '4K landscape (3840x2160)', width: 3840, height: 2160 },
+  { id: 'vertical', label: 'Vertical 9:16 (1080x1920)', width: 1080, height: 1920 },
+  { id: 'square', label: 'Square 1:1 (1080x1080)', width: 1080, height: 1080 }
+];
+
+// Frame rates offered per project (25 for PAL broadcast, 60 for smooth slow zooms).
+const FRAME_RATE_OPTIONS = [24, 25, 30, 50, 60];
+
+const DEFAULT_VIDEO_SETTINGS = { width: 1280, height: 720, fps: 30 };
+
+// Project soundtrack defaults (mirrors DEFAULT_AUDIO_SETTINGS in server.js).
+const DEFAULT_AUDIO_SETTINGS = { tracks: [], volume: 1, fadeIn: 1, fadeOut: 2, fit: 'trim' };
+
+// Project subtitle options (mirrors DEFAULT_SUBTITLE_SETTINGS in server.js). SRT/VTT sidecars are always written.
+const DEFAULT_SUBTITLE_SETTINGS = { mux: false, language: 'eng' };
+
+const AUDIO_FIT_OPTIONS = [
+  { id: 'trim', label: 'Trim to video length' },
+  { id: 'loop', label: 'Loop to fill video' }
+];
+
+// Footer labels for the phases reported by background render jobs.
+const RENDER_PHASE_LABELS = {
+  queued: 'Queued',
+  preparing: 'Preparing',
+  render: 'Rendering clips',
+  frames: 'Rendering frames',
+  encode: 'Encoding',
+  combine: 'Combining clips',
+  archive: 'Archiving',
+  done: 'Done'
+};
+
+// Minimum drag distance (percent of the image) before a stage drag becomes a pan arrow.
 const MIN_ARROW_LENGTH = 3;
 
+// Drag data type for reordering Gallery slides, so slide drags never look like file drops.
+const SLIDE_DRAG_TYPE = 'application/x-ken-burns-slide';
+
 /**
  * Root application shell that manages the gallery, per-image motion settings,
  * and export actions.
@@ -57,8 +191,26 @@ function App() {
   const [showProjectsPanel, setShowProjectsPanel] = useState(false);
   const [regeneratingImageId, setRegeneratingImageId] = useState(null);
   const [isSavingDefault, setIsSavingDefault] = useState(false);
+  // Exports render every clip unless the user picks a narrower scope; the cached-clip modes are opt-in.
   const [exportScope, setExportScope] = useState('all');
+  // Per-slide clip state from the server (`fresh`, `stale` or `missing`) for the loaded project.
+  const [clipStates, setClipStates] = useState({});
+  // The Gallery slide being dragged, with the slide it would land next to and on which side.
+  const [slideDrag, setSlideDrag] = useState(null);
   const [exportRange, setExportRange] = useState('');
+  const [activeJob, setActiveJob] = useState(null);
+  const [videoSettings, setVideoSettings] = useState(DEFAULT_VIDEO_SETTINGS);
+  const [audioSettings, setAudioSettings] = useState(DEFAULT_AUDIO_SETTINGS);
+  const [subtitleSettings, setSubtitleSettings] = useState(DEFAULT_SUBTITLE_SETTINGS);
+  const [availableAudio, setAvailableAudio] = useState([]);
+  const [showSoundtrackPanel, setShowSoundtrackPanel] = useState(false);
+  const [isFittingToMusic, setIsFittingToMusic] = useState(false);
+  const [cardPreviews, setCardPreviews] = useState({});
+  const cardPreviewKeysRef = useRef({});
+  const [uploadLimits, setUploadLimits] = useState(null);
+  const [uploads, setUploads] = useState([]);
+  const [uploadTarget, setUploadTarget] = useState('ingest');
+  const [isDraggingFiles, setIsDraggingFiles] = useState(false);
 
   // Load the set of available source images when the app boots.
   useEffect(() => {
@@ -81,6 +233,25 @@ function App() {
       });
   }, []);
 
+  // Audio files dropped into the images folder can be attached as the project soundtrack.
+  const refreshAvailableAudio = useCallback(() => {
+    fetch('/api/audio')
+      .then((res) => {
+        if (!res.ok) {
+          throw new Error('Unable to load audio files');
+        }
+        return res.json();
+      })
+      .then((data) => setAvailableAudio(Array.isArray(data) ? data : []))
+      .catch((error) => {
+        console.warn('Failed to load audio files', error);
+      });
+  }, []);
+
+  useEffect(() => {
+    refreshAvailableAudio();
+  }, [refreshAvailableAudio]);
+
   useEffect(() => {
     fetch('/api/settings')
       .then((res) => {
@@ -96,6 +267,9 @@ function App() {
             ...data.defaultConfig
           }));
         }
+        if (data?.upload) {
+          setUploadLimits(data.upload);
+        }
       })
       .catch((error) => {
         console.warn('Failed to load settings', error);
@@ -134,10 +308,64 @@ function App() {
     }
   }, [images, selectedImageId]);
 
+  // Cards have no file to show, so ask the server to draw them whenever a card or the output size changes.
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      images.filter((image) => image.kind === 'card').forEach((image) => {
+        const background = images.find((item) => item.id === image.card?.backgroundImageId && item.kind !== 'card') || null;
+        const key = JSON.stringify([image.card, videoSettings.width, videoSettings.height, background?.fileName, projectSlug]);
+        if (cardPreviewKeysRef.current[image.id] === key) {
+          return;
+        }
+        cardPreviewKeysRef.current[image.id] = key;
+        fetch('/api/cards/preview', {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            card: image.card,
+            video: videoSettings,
+            projectName: projectSlug || '',
+            backgroundImage: background ? { id: background.id, fileName: background.fileName } : null
+          })
+        })
+          .then((res) => {
+            if (!res.ok) {
+              throw new Error('Unable to render card preview');
+            }
+            return res.blob();
+          })
+          .then((blob) => {
+            setCardPreviews((prev) => {
+              if (prev[image.id]) {
+                URL.revokeObjectURL(prev[image.id]);
+              }
+              return { ...prev, [image.id]: URL.createObjectURL(blob) };
+            });
+          })
+          .catch((error) => {
+            delete cardPreviewKeysRef.current[image.id];
+            console.warn('Failed to render card preview', error);
+          });
+      });
+    }, 250);
+    return () => clearTimeout(timer);
+  }, [images, videoSettings, projectSlug]);
+
+  // Slides as shown in the gallery and viewer; cards borrow their rendered preview as the image.
+  const displayImages = useMemo(() => {
+    return images.map((image) => (
+      image.kind === 'card'
+        ? { ...image, url: cardPreviews[image.id] || '', thumbnailUrl: cardPreviews[image.id] || '' }
+        : image
+    ));
+  }, [images, cardPreviews]);
+
   // Convenience pointer to whichever image is selected in the gallery.
   const selectedImage = useMemo(() => {
-    return images.find((img) => img.id === selectedImageId) || null;
-  }, [images, selectedImageId]);
+    return displayImages.find((img) => img.id === selectedImageId) || null;
+  }, [displayImages, selectedImageId]);
 
   // Merge stored overrides with defaults to drive the inspector UI.
   const selectedConfig = useMemo(() => {
@@ -150,6 +378,11 @@ function App() {
     };
   }, [defaultConfig, imageConfigs, selectedImageId]);
 
+  // The slide after the selection, for transition previews.
+  const nextImage = selectedImage
+    ? displayImages[displayImages.findIndex((img) => img.id === selectedImage.id) + 1] || null
+    : null;
+
   // Persist partial updates for the active image and mark preset as custom when needed.
   const updateImageConfig = (imageId, patch) => {
     if (!imageId) {
@@ -202,6 +435,19 @@ function App() {
         const segments = [slug, ...relativePath.split('/').filter(Boolean)];
         url = `/projects/${segments.map((segment) => encodeURIComponent(segment)).join('/')}`;
       }
+      if (item.kind === 'card') {
+        return {
+          id: item.id,
+          kind: 'card',
+          card: { ...DEFAULT_CARD, ...item.card },
+          fileName: null,
+          url: '',
+          thumbnailUrl: '',
+          size: 0,
+          imagePath: null,
+          clipFile: item.clipFile || null
+        };
+      }
       return {
         id: item.id,
         fileName: item.fileName,
@@ -249,6 +495,34 @@ function App() {
     setSelectedImageId(images[fallbackIndex].id);
   }, [images, selectedImageId, projectImageMap]);
 
+  // Switch the project's output size; a saved project re-renders every clip on the next export.
+  const handleVideoSizeChange = useCallback((event) => {
+    const preset = VIDEO_SIZE_PRESETS.find((item) => item.id === event.target.value);
+    if (!preset) {
+      return;
+    }
+    setVideoSettings((prev) => ({ ...prev, width: preset.width, height: preset.height }));
+    if (activeProject) {
+      setExportStatus(`Output set to ${preset.width}x${preset.height}. All clips will be re-rendered on the next export.`);
+    }
+  }, [activeProject]);
+
+  // Switch the project's frame rate; like a size change, this invalidates every saved clip.
+  const handleFrameRateChange = useCallback((event) => {
+    const fps = Number(event.target.value);
+    if (!Number.isFinite(fps) || fps <= 0) {
+      return;
+    }
+    setVideoSettings((prev) => ({ ...prev, fps }));
+    if (activeProject) {
+      setExportStatus(`Frame rate set to ${fps}fps. All clips will be re-rendered on the next export.`);
+    }
+  }, [activeProject]);
+
+  const activeVideoPreset = VIDEO_SIZE_PRESETS.find(
+    (preset) => preset.width === videoSettings.width && preset.height === videoSettings.height
+  );
+
   const handleExportScopeChange = useCallback((event) => {
     const nextScope = event.target.value;
     setExportScope(nextScope);
@@ -278,6 +552,9 @@ function App() {
         if (result.manifest.name) {
           setProjectName(result.manifest.name);
         }
+        setVideoSettings(result.manifest.video || DEFAULT_VIDEO_SETTINGS);
+        setAudioSettings(result.manifest.audio || DEFAULT_AUDIO_SETTINGS);
+        setSubtitleSettings(result.manifest.subtitles || DEFAULT_SUBTITLE_SETTINGS);
         setImages(normalizeManifestImages(result.manifest));
         const nextConfigs = {};
         (result.manifest.images || []).forEach((item) => {
@@ -315,8 +592,12 @@ function App() {
     const trimmedName = projectName.trim();
     return {
       ...(trimmedName ? { projectName: trimmedName } : {}),
+      video: videoSettings,
+      audio: audioSettings,
+      subtitles: subtitleSettings,
       plan: images.map((image) => ({
         id: image.id,
+        ...(image.kind === 'card' ? { kind: 'card', card: image.card } : {}),
         fileName: image.fileName,
         imagePath: image.imagePath || null,
         clipFile: image.clipFile || null,
@@ -327,7 +608,44 @@ function App() {
         }
       }))
     };
-  }, [defaultConfig, imageConfigs, images, projectName]);
+  }, [audioSettings, defaultConfig, imageConfigs, images, projectName, subtitleSettings, videoSettings]);
+
+  // Ask the server which saved clips no longer match their slide, so edited slides show a Stale badge.
+  useEffect(() => {
+    if (!projectSlug || !activeProject) {
+      setClipStates({});
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      const { video, plan } = buildPlanPayload();
+      fetch(`/api/projects/${encodeURIComponent(projectSlug)}/clip-status`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ video, plan })
+      })
+        .then((res) => {
+          if (!res.ok) {
+            throw new Error('Unable to check clip status');
+          }
+          return res.json();
+        })
+        .then((data) => {
+          if (!cancelled) {
+            setClipStates(Object.fromEntries(data.slides.map((slide) => [slide.id, slide.state])));
+          }
+        })
+        .catch((error) => {
+          console.warn('Failed to check clip status', error);
+        });
+    }, 500);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [activeProject, buildPlanPayload, projectSlug]);
 
   // Trigger the MP4 render flow on the backend.
   const handleExportVideo = async () => {
@@ -344,11 +662,13 @@ function App() {
 
     setIsExporting(true);
     const trimmedRange = exportRange.trim();
-    const scopedStatus = exportScope === 'missing'
-      ? 'Rendering missing clips...'
-      : exportScope === 'range'
-        ? `Rendering selected clips${trimmedRange ? ` (${trimmedRange})` : ''}...`
-        : 'Rendering all clips...';
+    const scopedStatus = exportScope === 'changed'
+      ? 'Rendering changed and missing clips...'
+      : exportScope === 'missing'
+        ? 'Rendering missing clips...'
+        : exportScope === 'range'
+          ? `Rendering selected clips${trimmedRange ? ` (${trimmedRange})` : ''}...`
+          : 'Rendering all clips...';
     setExportStatus(scopedStatus);
 
     const payload = {
@@ -367,16 +687,24 @@ function App() {
         body: JSON.stringify(payload)
       });
 
-      const result = await response.json();
+      const started = await response.json();
 
       if (!response.ok) {
-        throw new Error(result.message || 'Failed to start export');
+        throw new Error(started.message || started.error || 'Failed to start export');
       }
 
+      const result = await followRenderJob(started.jobId, (job) => {
+        setActiveJob(job);
+        setExportStatus(job.message);
+      });
+
       if (result.manifest) {
         setActiveProject(result.manifest);
         setProjectSlug(result.manifest.slug || null);
         setProjectName(result.manifest.name || trimmedName);
+        setVideoSettings(result.manifest.video || DEFAULT_VIDEO_SETTINGS);
+        setAudioSettings(result.manifest.audio || DEFAULT_AUDIO_SETTINGS);
+        setSubtitleSettings(result.manifest.subtitles || DEFAULT_SUBTITLE_SETTINGS);
         setImages(normalizeManifestImages(result.manifest));
         const nextConfigs = {};
         (result.manifest.images || []).forEach((item) => {
@@ -395,8 +723,9 @@ function App() {
       }
 
       const completedMessage = result.message || 'Export complete!';
+      const subtitleNote = result.subtitleUrls ? ` Subtitles: ${result.subtitleUrls.srt}, ${result.subtitleUrls.vtt}` : '';
       if (result.downloadUrl) {
-        setExportStatus(`${completedMessage} Download: ${result.downloadUrl}`);
+        setExportStatus(`${completedMessage} Download: ${result.downloadUrl}${subtitleNote}`);
       } else {
         setExportStatus(completedMessage);
       }
@@ -404,6 +733,7 @@ function App() {
       setExportStatus(`Error: ${error.message}`);
     } finally {
       setIsExporting(false);
+      setActiveJob(null);
     }
   };
 
@@ -419,8 +749,10 @@ function App() {
     setRegeneratingImageId(imageId);
     setExportStatus('Regenerating clip...');
 
+    const card = images.find((image) => image.id === imageId && image.kind === 'card')?.card;
     const payload = {
       imageId,
+      ...(card ? { card } : {}),
       config: {
         ...defaultConfig,
         ...imageConfigs[imageId]
@@ -436,17 +768,25 @@ function App() {
         body: JSON.stringify(payload)
       });
 
-      const result = await response.json();
+      const started = await response.json();
       if (!response.ok) {
-        throw new Error(result.error || result.message || 'Clip regeneration failed');
+        throw new Error(started.error || started.message || 'Clip regeneration failed');
       }
 
+      const result = await followRenderJob(started.jobId, (job) => {
+        setActiveJob(job);
+        setExportStatus(job.message);
+      });
+
       if (result.manifest) {
         setActiveProject(result.manifest);
         setProjectSlug(result.manifest.slug || projectSlug);
         if (result.manifest.name) {
           setProjectName(result.manifest.name);
         }
+        setVideoSettings(result.manifest.video || DEFAULT_VIDEO_SETTINGS);
+        setAudioSettings(result.manifest.audio || DEFAULT_AUDIO_SETTINGS);
+        setSubtitleSettings(result.manifest.subtitles || DEFAULT_SUBTITLE_SETTINGS);
         setImages(normalizeManifestImages(result.manifest));
         const nextConfigs = {};
         (result.manifest.images || []).forEach((item) => {
@@ -469,6 +809,26 @@ function App() {
       setExportStatus(`Clip regeneration failed: ${error.message}`);
     } finally {
       setRegeneratingImageId(null);
+      setActiveJob(null);
+    }
+  };
+
+  // Ask the server to stop the running export or clip regeneration.
+  const handleCancelRender = async () => {
+    if (!activeJob?.id) {
+      return;
+    }
+    setExportStatus('Cancelling...');
+    try {
+      const response = await fetch(`/api/jobs/${encodeURIComponent(activeJob.id)}/cancel`, {
+        method: 'POST'
+      });
+      if (!response.ok) {
+        const result = await response.json();
+        throw new Error(result.error || 'Unable to cancel');
+      }
+    } catch (error) {
+      setExportStatus(`Cancel failed: ${error.message}`);
     }
   };
 
@@ -489,6 +849,9 @@ function App() {
       if (result.name) {
         setProjectName(result.name);
       }
+      setVideoSettings(result.video || DEFAULT_VIDEO_SETTINGS);
+      setAudioSettings(result.audio || DEFAULT_AUDIO_SETTINGS);
+      setSubtitleSettings(result.subtitles || DEFAULT_SUBTITLE_SETTINGS);
 
       setImages(normalizeManifestImages(result));
       const nextConfigs = {};
@@ -519,6 +882,75 @@ function App() {
     }
   };
 
+  // Shared request for the project panel's actions; errors are thrown so the panel can show them inline.
+  const requestProjectAction = async (slug, action, { method = 'POST', body = {} } = {}) => {
+    const response = await fetch(`/api/projects/${encodeURIComponent(slug)}${action ? `/${action}` : ''}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.error || result.message || 'Project action failed');
+    }
+    if (Array.isArray(result.projects)) {
+      setProjects(result.projects);
+    }
+    setExportStatus(result.message || null);
+    return result;
+  };
+
+  // A rename moves the project folder, so a loaded project also picks up its new slug and image URLs.
+  const handleRenameProject = async (slug, name) => {
+    const result = await requestProjectAction(slug, 'rename', { body: { name } });
+    if (slug !== projectSlug) {
+      return;
+    }
+    const manifest = result.manifest;
+    const urls = new Map(manifest.images.map((item) => [item.id, item.imageUrl]));
+    setActiveProject(manifest);
+    setProjectSlug(manifest.slug);
+    setProjectName(manifest.name);
+    setImages((prev) => prev.map((image) => (
+      urls.get(image.id) ? { ...image, url: urls.get(image.id), thumbnailUrl: urls.get(image.id) } : image
+    )));
+  };
+
+  const handleDuplicateProject = async (slug, name, includeClips) => {
+    await requestProjectAction(slug, 'duplicate', { body: { name, includeClips } });
+  };
+
+  const handleArchiveProject = async (slug, archived) => {
+    await requestProjectAction(slug, 'archive', { body: { archived } });
+  };
+
+  // Unpack a project bundle; replacing the loaded project reloads it so the editor shows the imported copy.
+  const handleImportProject = async (file, name, replace, onProgress) => {
+    const result = await uploadFormFile('/api/projects/import', 'bundle', file, { name, replace: replace ? 'true' : '' }, onProgress);
+    if (Array.isArray(result.projects)) {
+      setProjects(result.projects);
+    }
+    setExportStatus(result.message || null);
+    if (result.manifest?.slug && result.manifest.slug === projectSlug) {
+      await handleLoadProject(result.manifest.slug);
+    }
+  };
+
+  // Deleting the loaded project leaves its cards and ingest images in the editor as an unsaved plan.
+  const handleDeleteProject = async (slug) => {
+    await requestProjectAction(slug, '', { method: 'DELETE', body: { confirm: slug } });
+    if (slug !== projectSlug) {
+      return;
+    }
+    const projectUrlPrefix = `/projects/${encodeURIComponent(slug)}/`;
+    setImages((prev) => prev.filter((image) => !(image.url || '').startsWith(projectUrlPrefix)));
+    setActiveProject(null);
+    setProjectSlug(null);
+    setProjectName('');
+  };
+
   const handleSaveDefault = async () => {
     setIsSavingDefault(true);
     const payload = {
@@ -527,6 +959,11 @@ function App() {
         zoom: selectedConfig.zoom,
         fadeDuration: selectedConfig.fadeDuration,
         motionStyle: selectedConfig.motionStyle,
+        easing: selectedConfig.easing,
+        easingCurve: selectedConfig.easingCurve,
+        transition: selectedConfig.transition,
+        framing: selectedConfig.framing,
+        framingColor: selectedConfig.framingColor,
         lockZoom: selectedConfig.lockZoom,
         preset: selectedConfig.preset
       }
@@ -600,6 +1037,170 @@ function App() {
     setIsExporting(false);
   };
 
+  // Ask the server to analyse the soundtrack and retime every slide so cuts land on beats.
+  const handleFitToSoundtrack = async () => {
+    if (!images.length || !audioSettings.tracks.length) {
+      return;
+    }
+    setIsFittingToMusic(true);
+    setExportStatus('Analysing soundtrack...');
+    try {
+      const response = await fetch('/api/audio/fit-durations', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(buildPlanPayload())
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Unable to fit slides to the soundtrack');
+      }
+      setImageConfigs((prev) => {
+        const next = { ...prev };
+        result.durations.forEach(({ id, duration }) => {
+          next[id] = { ...defaultConfig, ...prev[id], duration, preset: 'custom' };
+        });
+        return next;
+      });
+      const { analysis } = result;
+      const tempo = analysis.tempo ? `${analysis.tempo} BPM, ${analysis.beatCount} beats` : 'no steady beat found';
+      setExportStatus(
+        `Fitted ${result.durations.length} slides to ${formatEta(analysis.duration)} of music (${tempo}). Re-render clips to apply.`
+      );
+    } catch (error) {
+      setExportStatus(`Fit to music failed: ${error.message}`);
+    } finally {
+      setIsFittingToMusic(false);
+    }
+  };
+
+  // Insert a new title card after the selected slide (or first, when nothing is selected).
+  const handleAddCard = () => {
+    const id = `card-${Date.now().toString(36)}`;
+    const card = { ...DEFAULT_CARD, title: 'Title' };
+    setImages((prev) => {
+      const selectedIndex = prev.findIndex((image) => image.id === selectedImageId);
+      const next = [...prev];
+      next.splice(selectedIndex + 1, 0, {
+        id,
+        kind: 'card',
+        card,
+        fileName: null,
+        url: '',
+        thumbnailUrl: '',
+        size: 0,
+        imagePath: null,
+        clipFile: null
+      });
+      return next;
+    });
+    setSelectedImageId(id);
+  };
+
+  // Upload dropped or picked files one request at a time so each shows its own progress. Uploaded images
+  // join the gallery after the existing slides; project uploads also refresh the loaded manifest.
+  const handleUploadFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (!files.length) {
+      return;
+    }
+    const target = uploadTarget === 'project' && projectSlug ? 'project' : 'ingest';
+    const batchId = Date.now().toString(36);
+    const batch = files.map((file, index) => ({
+      key: `${batchId}-${index}`,
+      file,
+      error: getUploadError(file, uploadLimits)
+    }));
+    setUploads((prev) => [
+      ...prev.filter((upload) => upload.status !== 'done'),
+      ...batch.map(({ key, file, error }) => ({
+        key,
+        fileName: file.name,
+        progress: 0,
+        status: error ? 'error' : 'queued',
+        error
+      }))
+    ]);
+
+    for (const item of batch) {
+      if (item.error) {
+        continue;
+      }
+      const patchUpload = (patch) => {
+        setUploads((prev) => prev.map((upload) => (upload.key === item.key ? { ...upload, ...patch } : upload)));
+      };
+      patchUpload({ status: 'uploading' });
+      try {
+        const result = await uploadFormFile('/api/uploads', 'images', item.file, { target, project: projectSlug }, (progress) => {
+          patchUpload({ progress });
+        });
+        patchUpload({ status: 'done', progress: 1 });
+        setImages((prev) => {
+          const knownIds = new Set(prev.map((image) => image.id));
+          return [...prev, ...result.images.filter((image) => !knownIds.has(image.id))];
+        });
+        setSelectedImageId((prev) => prev || result.images[0]?.id || null);
+        if (result.manifest) {
+          setActiveProject(result.manifest);
+        }
+      } catch (error) {
+        patchUpload({ status: 'error', error: error.message });
+      }
+    }
+  };
+
+  const isFileDrag = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+  // Move a slide next to another one; with a project loaded the new order is saved to its manifest right away
+  // and undone if the save fails.
+  const handleMoveSlide = async (slideId, targetId, placeAfter) => {
+    if (slideId === targetId) {
+      return;
+    }
+    const moved = images.find((image) => image.id === slideId);
+    const next = images.filter((image) => image.id !== slideId);
+    const targetIndex = next.findIndex((image) => image.id === targetId);
+    if (!moved || targetIndex === -1) {
+      return;
+    }
+    next.splice(targetIndex + (placeAfter ? 1 : 0), 0, moved);
+    setImages(next);
+
+    if (!projectSlug || !activeProject) {
+      return;
+    }
+    try {
+      const response = await fetch(`/api/projects/${encodeURIComponent(projectSlug)}/order`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ order: next.map((image) => image.id) })
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || 'Unable to save slide order');
+      }
+      setActiveProject(result.manifest);
+    } catch (error) {
+      // Put the slides back in the saved order so the gallery never shows an order the next export won't use.
+      const savedPositions = new Map(images.map((image, index) => [image.id, index]));
+      const position = (image) => (savedPositions.has(image.id) ? savedPositions.get(image.id) : savedPositions.size);
+      setImages((current) => current.slice().sort((a, b) => position(a) - position(b)));
+      setExportStatus(`Slide order not saved: ${error.message}`);
+    }
+  };
+
+  const handleUpdateCard = (imageId, card) => {
+    setImages((prev) => prev.map((image) => (image.id === imageId ? { ...image, card } : image)));
+  };
+
+  // Cards only exist in the plan, so removing one just drops it; the next export updates the manifest.
+  const handleRemoveCard = (imageId) => {
+    setImages((prev) => prev.filter((image) => image.id !== imageId));
+  };
+
   // Download the current plan as JSON for debugging or hand-off.
   const handleExport = () => {
     const payload = buildPlanPayload();
@@ -633,6 +1234,69 @@ function App() {
                   placeholder="Untitled project"
                 />
               </label>
+              <label>
+                Output
+                <select
+                  value={activeVideoPreset ? activeVideoPreset.id : 'custom'}
+                  onChange={handleVideoSizeChange}
+                  disabled={isExporting}
+                >
+                  {!activeVideoPreset && (
+                    <option value="custom">
+                      Custom ({videoSettings.width}x{videoSettings.height})
+                    </option>
+                  )}
+                  {VIDEO_SIZE_PRESETS.map((preset) => (
+                    <option key={preset.id} value={preset.id}>
+                      {preset.label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Frame rate
+                <select
+                  className="App__fpsSelect"
+                  value={videoSettings.fps}
+                  onChange={handleFrameRateChange}
+                  disabled={isExporting}
+                >
+                  {!FRAME_RATE_OPTIONS.includes(videoSettings.fps) && (
+                    <option value={videoSettings.fps}>{videoSettings.fps} fps</option>
+                  )}
+                  {FRAME_RATE_OPTIONS.map((fps) => (
+                    <option key={fps} value={fps}>
+                      {fps} fps
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Subtitles
+                <select
+                  className="App__fpsSelect"
+                  value={subtitleSettings.mux ? 'mux' : 'sidecar'}
+                  onChange={(event) => setSubtitleSettings((prev) => ({ ...prev, mux: event.target.value === 'mux' }))}
+                  disabled={isExporting}
+                >
+                  <option value="sidecar">SRT + VTT files</option>
+                  <option value="mux">Files + embedded track</option>
+                </select>
+              </label>
+              {subtitleSettings.mux && (
+                <label>
+                  Language
+                  <input
+                    type="text"
+                    className="App__languageInput"
+                    maxLength={3}
+                    value={subtitleSettings.language}
+                    onChange={(event) => setSubtitleSettings((prev) => ({ ...prev, language: event.target.value.toLowerCase() }))}
+                    disabled={isExporting}
+                    title="ISO 639-2 code, e.g. eng, deu, fra"
+                  />
+                </label>
+              )}
               <button
                 type="button"
                 onClick={() => {
@@ -642,6 +1306,15 @@ function App() {
               >
                 Browse Projects
               </button>
+              <button
+                type="button"
+                onClick={() => {
+                  refreshAvailableAudio();
+                  setShowSoundtrackPanel(true);
+                }}
+              >
+                Soundtrack{audioSettings.tracks.length ? ` (${audioSettings.tracks.length})` : ''}
+              </button>
             </div>
           </div>
           <div className="App__layoutToggle">
@@ -675,32 +1348,133 @@ function App() {
           projects={projects}
           activeSlug={projectSlug}
           onSelect={(slug) => handleLoadProject(slug)}
+          onRename={handleRenameProject}
+          onDuplicate={handleDuplicateProject}
+          onArchive={handleArchiveProject}
+          onDelete={handleDeleteProject}
+          onImport={handleImportProject}
           onClose={() => setShowProjectsPanel(false)}
         />
       )}
 
+      {showSoundtrackPanel && (
+        <SoundtrackPanel
+          audio={audioSettings}
+          availableAudio={availableAudio}
+          disabled={isExporting}
+          canFit={images.length > 0 && !isFittingToMusic}
+          isFitting={isFittingToMusic}
+          onFit={handleFitToSoundtrack}
+          onChange={(patch) => setAudioSettings((prev) => ({ ...prev, ...patch }))}
+          onClose={() => setShowSoundtrackPanel(false)}
+        />
+      )}
+
       <div className="App__body">
-        <aside className={`Gallery Gallery--${viewMode}`}>
+        <aside
+          className={`Gallery Gallery--${viewMode}${isDraggingFiles ? ' Gallery--dropping' : ''}`}
+          onDragOver={(event) => {
+            if (isFileDrag(event) && !isExporting) {
+              event.preventDefault();
+              setIsDraggingFiles(true);
+            }
+          }}
+          onDragLeave={(event) => {
+            if (!event.currentTarget.contains(event.relatedTarget)) {
+              setIsDraggingFiles(false);
+            }
+          }}
+          onDrop={(event) => {
+            if (!isFileDrag(event)) {
+              return;
+            }
+            event.preventDefault();
+            setIsDraggingFiles(false);
+            if (!isExporting) {
+              handleUploadFiles(event.dataTransfer.files);
+            }
+          }}
+        >
           {errorMessage && (
             <div className="Gallery__error">{errorMessage}</div>
           )}
-          {images.map((image) => (
-            <button
+          <UploadDropZone
+            uploads={uploads}
+            accept={uploadLimits ? uploadLimits.extensions.join(',') : 'image/*'}
+            target={projectSlug ? uploadTarget : 'ingest'}
+            canTargetProject={Boolean(projectSlug)}
+            disabled={isExporting}
+            onTargetChange={setUploadTarget}
+            onFiles={handleUploadFiles}
+            onClear={() => setUploads((prev) => prev.filter((upload) => upload.status === 'queued' || upload.status === 'uploading'))}
+          />
+          <button type="button" className="Gallery__addCard" onClick={handleAddCard} disabled={isExporting}>
+            + Add Title Card
+          </button>
+          {displayImages.map((image) => (
+            // A div rather than a button: Firefox never starts drags on buttons.
+            <div
               key={image.id}
+              role="button"
+              tabIndex={0}
+              draggable={!isExporting}
               className={
                 "Gallery__item" +
-                (image.id === selectedImageId ? " Gallery__item--active" : "")
+                (image.id === selectedImageId ? " Gallery__item--active" : "") +
+                (slideDrag?.id === image.id ? " Gallery__item--dragging" : "") +
+                (slideDrag?.targetId === image.id && slideDrag.id !== image.id
+                  ? ` Gallery__item--drop${slideDrag.after ? 'After' : 'Before'}`
+                  : "")
               }
               onClick={() => setSelectedImageId(image.id)}
+              onKeyDown={(event) => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                  event.preventDefault();
+                  setSelectedImageId(image.id);
+                }
+              }}
+              onDragStart={(event) => {
+                event.dataTransfer.effectAllowed = 'move';
+                event.dataTransfer.setData(SLIDE_DRAG_TYPE, image.id);
+                setSlideDrag({ id: image.id, targetId: null, after: false });
+              }}
+              onDragOver={(event) => {
+                if (!slideDrag) {
+                  return;
+                }
+                event.preventDefault();
+                // Grid rows read left to right, the list top to bottom; the pointer's half picks the side.
+                const rect = event.currentTarget.getBoundingClientRect();
+                const after = viewMode === 'grid'
+                  ? event.clientX > rect.left + rect.width / 2
+                  : event.clientY > rect.top + rect.height / 2;
+                if (slideDrag.targetId !== image.id || slideDrag.after !== after) {
+                  setSlideDrag({ ...slideDrag, targetId: image.id, after });
+                }
+              }}
+              onDrop={(event) => {
+                if (!slideDrag) {
+                  return;
+                }
+                event.preventDefault();
+                handleMoveSlide(slideDrag.id, image.id, slideDrag.after);
+                setSlideDrag(null);
+              }}
+              onDragEnd={() => setSlideDrag(null)}
             >
-              <img src={image.thumbnailUrl} alt={image.fileName} />
+              <img src={image.thumbnailUrl || undefined} alt={getSlideLabel(image)} draggable={false} />
               <span className="Gallery__itemLabel">
-                {image.fileName}
+                {getSlideLabel(image)}
                 {projectImageMap[image.id]?.clipFile && (
                   <span className="Gallery__badge">Saved</span>
                 )}
+                {clipStates[image.id] === 'stale' && (
+                  <span className="Gallery__badge Gallery__badge--stale" title="Settings or source changed since this clip was rendered">
+                    Stale
+                  </span>
+                )}
               </span>
-            </button>
+            </div>
           ))}
         </aside>
 
@@ -715,6 +1489,12 @@ function App() {
               isExporting={isExporting}
               isClipDone={Boolean(projectImageMap[selectedImage.id]?.clipFile)}
               canContinue={images.length > 1}
+              aspectRatio={videoSettings.width / videoSettings.height}
+              nextImage={nextImage}
+              nextConfig={nextImage ? { ...defaultConfig, ...imageConfigs[nextImage.id] } : null}
+              cardSources={images.filter((img) => img.kind !== 'card')}
+              onUpdateCard={(card) => handleUpdateCard(selectedImageId, card)}
+              onRemoveCard={() => handleRemoveCard(selectedImageId)}
               onRegenerateClip={() => handleRegenerateClip(selectedImageId)}
               onUpdateConfig={(patch) => updateImageConfig(selectedImageId, patch)}
               onContinue={handleContinue}
@@ -764,23 +1544,61 @@ function App() {
                 disabled={!selectedImageId}
               />
             </label>
-            <label>
-              Zoom
-              <input
-                type="range"
-                min="1"
-                max="3.5"
-                step="0.1"
-                value={selectedConfig.zoom}
-                onChange={(event) =>
-                  updateImageConfig(selectedImageId, {
-                    zoom: parseFloat(event.target.value) || 1
-                  })
-                }
-                disabled={!selectedImageId}
-              />
-              <span className="Toolbar__value">{selectedConfig.zoom.toFixed(1)}x</span>
-            </label>
+            {selectedConfig.arrow ? (
+              <>
+                <label>
+                  Start zoom
+                  <input
+                    type="range"
+                    min="1"
+                    max="3.5"
+                    step="0.1"
+                    value={selectedConfig.arrow.startZoom}
+                    onChange={(event) =>
+                      updateImageConfig(selectedImageId, {
+                        arrow: { ...selectedConfig.arrow, startZoom: parseFloat(event.target.value) || 1 }
+                      })
+                    }
+                  />
+                  <span className="Toolbar__value">{selectedConfig.arrow.startZoom.toFixed(1)}x</span>
+                </label>
+                <label>
+                  End zoom
+                  <input
+                    type="range"
+                    min="1"
+                    max="3.5"
+                    step="0.1"
+                    value={selectedConfig.arrow.endZoom}
+                    onChange={(event) =>
+                      updateImageConfig(selectedImageId, {
+                        arrow: { ...selectedConfig.arrow, endZoom: parseFloat(event.target.value) || 1 }
+                      })
+                    }
+                  />
+                  <span className="Toolbar__value">{selectedConfig.arrow.endZoom.toFixed(1)}x</span>
+                </label>
+              </>
+            ) : (
+              <label>
+                Zoom
+                <input
+                  type="range"
+                  min="1"
+                  max="3.5"
+                  step="0.1"
+                  value={selectedConfig.zoom}
+                  onChange={(event) =>
+                    updateImageConfig(selectedImageId, {
+                      zoom: parseFloat(event.target.value) || 1
+                    })
+                  }
+                  disabled={!selectedImageId || Boolean(selectedConfig.keyframes)}
+                  title={selectedConfig.keyframes ? 'Each keyframe sets its own zoom' : undefined}
+                />
+                <span className="Toolbar__value">{selectedConfig.zoom.toFixed(1)}x</span>
+              </label>
+            )}
             <label>
               Motion
               <select
@@ -788,7 +1606,8 @@ function App() {
                 onChange={(event) =>
                   updateImageConfig(selectedImageId, { motionStyle: event.target.value })
                 }
-                disabled={!selectedImageId}
+                disabled={!selectedImageId || Boolean(selectedConfig.arrow) || Boolean(selectedConfig.keyframes)}
+                title={selectedConfig.arrow || selectedConfig.keyframes ? 'Pan arrows and keyframe paths replace the motion style' : undefined}
               >
                 {MOTION_STYLES.map((style) => (
                   <option key={style.id} value={style.id}>
@@ -797,6 +1616,29 @@ function App() {
                 ))}
               </select>
             </label>
+            <label>
+              Easing
+              <select
+                value={selectedConfig.easing || DEFAULT_EASING}
+                onChange={(event) =>
+                  updateImageConfig(selectedImageId, { easing: event.target.value })
+                }
+                disabled={!selectedImageId}
+              >
+                {EASING_OPTIONS.map((easing) => (
+                  <option key={easing.id} value={easing.id}>
+                    {easing.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {selectedConfig.easing === 'custom' && (
+              <CurveEditor
+                curve={selectedConfig.easingCurve || DEFAULT_EASING_CURVE}
+                onChange={(easingCurve) => updateImageConfig(selectedImageId, { easingCurve })}
+                disabled={!selectedImageId}
+              />
+            )}
             <label>
               Fade (s)
               <input
@@ -813,10 +1655,55 @@ function App() {
                 disabled={!selectedImageId}
               />
             </label>
-            <label className="Toolbar__toggle">
-              <input
-                type="checkbox"
-                checked={selectedConfig.lockZoom}
+            <label>
+              Transition
+              <select
+                value={selectedConfig.transition || 'fade'}
+                onChange={(event) =>
+                  updateImageConfig(selectedImageId, { transition: event.target.value })
+                }
+                disabled={!selectedImageId}
+              >
+                {TRANSITION_OPTIONS.map((transition) => (
+                  <option key={transition.id} value={transition.id}>
+                    {transition.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Framing
+              <select
+                value={selectedConfig.framing || DEFAULT_FRAMING}
+                onChange={(event) =>
+                  updateImageConfig(selectedImageId, { framing: event.target.value })
+                }
+                disabled={!selectedImageId}
+              >
+                {FRAMING_OPTIONS.map((framing) => (
+                  <option key={framing.id} value={framing.id}>
+                    {framing.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            {selectedConfig.framing === 'contain-color' && (
+              <label>
+                Fill
+                <input
+                  type="color"
+                  value={selectedConfig.framingColor || DEFAULT_CONFIG.framingColor}
+                  onChange={(event) =>
+                    updateImageConfig(selectedImageId, { framingColor: event.target.value })
+                  }
+                  disabled={!selectedImageId}
+                />
+              </label>
+            )}
+            <label className="Toolbar__toggle">
+              <input
+                type="checkbox"
+                checked={selectedConfig.lockZoom}
                 onChange={(event) =>
                   updateImageConfig(selectedImageId, {
                     lockZoom: event.target.checked
@@ -846,7 +1733,8 @@ function App() {
                   disabled={isExporting}
                 >
                   <option value="all">Render all clips</option>
-                  <option value="missing">Render missing clips</option>
+                  <option value="changed">Render changed + missing clips</option>
+                  <option value="missing">Render missing clips only</option>
                   <option value="range">Render specific clips</option>
                 </select>
               </label>
@@ -872,6 +1760,7 @@ function App() {
             </button>
           </div>
         </div>
+        {activeJob && <RenderProgress job={activeJob} onCancel={handleCancelRender} />}
         {exportStatus && <div className="App__status">{exportStatus}</div>}
       </footer>
 
@@ -879,36 +1768,734 @@ function App() {
   );
 }
 
-function ProjectsPanel({ projects, activeSlug, onSelect, onClose }) {
+// Caption drawn over the stage in output-frame space, laid out like buildCaptionOverlay in render.js:
+// font size is a share of the frame height and the block sits inside a 5% safe margin.
+function CaptionOverlay({ caption, metrics, opacity }) {
+  if (!caption?.text?.trim() || !metrics?.stageHeight) {
+    return null;
+  }
+  const resolved = { ...DEFAULT_CAPTION, ...caption };
+  const [vertical, horizontal = 'center'] = resolved.position === 'center'
+    ? ['center', 'center']
+    : resolved.position.split('-');
+  const flexAlign = { top: 'flex-start', left: 'flex-start', center: 'center', bottom: 'flex-end', right: 'flex-end' };
+
+  return (
+    <div
+      className="CaptionOverlay"
+      style={{
+        alignItems: flexAlign[vertical],
+        justifyContent: flexAlign[horizontal],
+        opacity: opacity ?? 1
+      }}
+    >
+      <div
+        className="CaptionOverlay__text"
+        style={{
+          fontFamily: resolved.font,
+          fontSize: `${(resolved.size / 100) * metrics.stageHeight}px`,
+          color: resolved.color,
+          textAlign: horizontal === 'center' ? 'center' : horizontal,
+          padding: resolved.box ? '0.35em' : 0,
+          background: resolved.box ? hexToRgba(resolved.boxColor, resolved.boxOpacity) : 'transparent'
+        }}
+      >
+        {resolved.text}
+      </div>
+    </div>
+  );
+}
+
+// Caption fields for the selected slide, shown under the keyframe strip. The description is subtitle-only
+// text; when empty, the subtitle files use the caption (or a card's title).
+function CaptionEditor({ caption, description, onChange, onDescriptionChange }) {
+  const resolved = { ...DEFAULT_CAPTION, ...caption };
+  const update = (patch) => onChange({ ...resolved, ...patch });
+
+  return (
+    <div className="CaptionEditor">
+      <textarea
+        rows={2}
+        value={resolved.text}
+        placeholder="Caption text (names, dates, places...)"
+        onChange={(event) => update({ text: event.target.value })}
+      />
+      <textarea
+        rows={1}
+        value={description || ''}
+        placeholder="Subtitle description (optional, defaults to the caption)"
+        onChange={(event) => onDescriptionChange(event.target.value)}
+      />
+      <div className="KeyframeStrip__fields">
+        <label>
+          Font
+          <select value={resolved.font} onChange={(event) => update({ font: event.target.value })}>
+            {CAPTION_FONTS.map((font) => (
+              <option key={font.id} value={font.id}>
+                {font.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Size
+          <input
+            type="range"
+            min="2"
+            max="20"
+            step="0.5"
+            value={resolved.size}
+            onChange={(event) => update({ size: parseFloat(event.target.value) || DEFAULT_CAPTION.size })}
+          />
+          <span className="Toolbar__value">{resolved.size}%</span>
+        </label>
+        <label>
+          Color
+          <input type="color" value={resolved.color} onChange={(event) => update({ color: event.target.value })} />
+        </label>
+        <label>
+          Position
+          <select value={resolved.position} onChange={(event) => update({ position: event.target.value })}>
+            {CAPTION_POSITIONS.map((position) => (
+              <option key={position.id} value={position.id}>
+                {position.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <input type="checkbox" checked={resolved.box} onChange={(event) => update({ box: event.target.checked })} />
+          Box
+        </label>
+        {resolved.box && (
+          <>
+            <input
+              type="color"
+              value={resolved.boxColor}
+              onChange={(event) => update({ boxColor: event.target.value })}
+              title="Box color"
+            />
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={resolved.boxOpacity}
+              onChange={(event) => update({ boxOpacity: parseFloat(event.target.value) })}
+              title="Box opacity"
+            />
+          </>
+        )}
+        <label>
+          Fade in (s)
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={resolved.fadeIn}
+            onChange={(event) => update({ fadeIn: Math.max(0, parseFloat(event.target.value) || 0) })}
+          />
+        </label>
+        <label>
+          Fade out (s)
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={resolved.fadeOut}
+            onChange={(event) => update({ fadeOut: Math.max(0, parseFloat(event.target.value) || 0) })}
+          />
+        </label>
+      </div>
+    </div>
+  );
+}
+
+// Text and background fields for a title/end card, shown above the keyframe strip.
+function CardEditor({ card, sources, onChange, onRemove }) {
+  const resolved = { ...DEFAULT_CARD, ...card };
+  const update = (patch) => onChange({ ...resolved, ...patch });
+
+  return (
+    <div className="CardEditor">
+      <input
+        type="text"
+        value={resolved.title}
+        placeholder="Title"
+        onChange={(event) => update({ title: event.target.value })}
+      />
+      <textarea
+        rows={2}
+        value={resolved.subtitle}
+        placeholder="Subtitle (optional)"
+        onChange={(event) => update({ subtitle: event.target.value })}
+      />
+      <div className="KeyframeStrip__fields">
+        <label>
+          Font
+          <select value={resolved.font} onChange={(event) => update({ font: event.target.value })}>
+            {CAPTION_FONTS.map((font) => (
+              <option key={font.id} value={font.id}>
+                {font.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Text
+          <input type="color" value={resolved.textColor} onChange={(event) => update({ textColor: event.target.value })} />
+        </label>
+        <label>
+          Background
+          <select value={resolved.background} onChange={(event) => update({ background: event.target.value })}>
+            {CARD_BACKGROUNDS.map((background) => (
+              <option key={background.id} value={background.id}>
+                {background.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Color
+          <input type="color" value={resolved.color} onChange={(event) => update({ color: event.target.value })} />
+        </label>
+        {resolved.background === 'gradient' && (
+          <>
+            <label>
+              To
+              <input type="color" value={resolved.color2} onChange={(event) => update({ color2: event.target.value })} />
+            </label>
+            <label>
+              Angle
+              <input
+                type="range"
+                min="0"
+                max="360"
+                step="5"
+                value={resolved.angle}
+                onChange={(event) => update({ angle: parseFloat(event.target.value) || 0 })}
+              />
+              <span className="Toolbar__value">{resolved.angle}deg</span>
+            </label>
+          </>
+        )}
+        {resolved.background === 'image' && (
+          <>
+            <label>
+              Slide
+              <select
+                value={resolved.backgroundImageId || ''}
+                onChange={(event) => update({ backgroundImageId: event.target.value || null })}
+              >
+                <option value="">Choose a slide...</option>
+                {sources.map((source) => (
+                  <option key={source.id} value={source.id}>
+                    {source.fileName}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label>
+              Blur
+              <input
+                type="range"
+                min="0"
+                max="100"
+                step="5"
+                value={resolved.blur}
+                onChange={(event) => update({ blur: parseFloat(event.target.value) || 0 })}
+              />
+            </label>
+            <label>
+              Dim
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={resolved.dim}
+                onChange={(event) => update({ dim: parseFloat(event.target.value) })}
+              />
+            </label>
+          </>
+        )}
+        <button type="button" onClick={onRemove}>
+          Remove Card
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// Stage overlay approximating an xfade transition with CSS on the two still images.
+function TransitionPreview({ fromImage, toImage, fromConfig, toConfig, transition, progress, blur }) {
+  const styles = getTransitionStyles(transition, progress);
+  const layer = (image, config, style) => {
+    const framing = config?.framing || DEFAULT_FRAMING;
+    return (
+      <div className="TransitionPreview__layer" style={style}>
+        <FramingBackdrop image={image} framing={framing} color={config?.framingColor} blur={blur} />
+        <img
+          src={image.url}
+          alt={getSlideLabel(image)}
+          draggable={false}
+          style={{ objectFit: framing === 'cover' ? 'cover' : 'contain' }}
+        />
+      </div>
+    );
+  };
+  return (
+    <div className="TransitionPreview" style={styles.backdrop}>
+      {layer(fromImage, fromConfig, styles.from)}
+      {layer(toImage, toConfig, styles.to)}
+    </div>
+  );
+}
+
+// Fill behind a contained slide: a blurred, frame-covering copy of the image or a solid color.
+// `blur` is in stage pixels (FRAMING_BLUR of the stage's shorter side, like the backend's sigma).
+function FramingBackdrop({ image, framing, color, blur }) {
+  if (framing === 'contain-color') {
+    return <div className="FramingBackdrop" style={{ background: color || DEFAULT_CONFIG.framingColor }} />;
+  }
+  if (framing !== 'contain-blur' || !image.url) {
+    return null;
+  }
+  return (
+    <div className="FramingBackdrop">
+      <img src={image.url} alt="" draggable={false} style={{ filter: `blur(${blur || 0}px)` }} />
+    </div>
+  );
+}
+
+// CSS for the outgoing/incoming layers at 0-1 transition progress, matching the direction of each xfade mode.
+// Dissolve is shown as a plain crossfade since xfade's per-pixel noise has no cheap CSS equivalent.
+function getTransitionStyles(transition, progress) {
+  const p = clamp(progress, 0, 1);
+  const percent = (value) => `${(value * 100).toFixed(2)}%`;
+  switch (transition) {
+    case 'fadeblack':
+    case 'fadewhite':
+      return {
+        backdrop: { background: transition === 'fadeblack' ? '#000' : '#fff' },
+        from: { opacity: Math.max(0, 1 - p * 2) },
+        to: { opacity: Math.max(0, p * 2 - 1) }
+      };
+    case 'wipeleft':
+      return { from: {}, to: { clipPath: `inset(0 0 0 ${percent(1 - p)})` } };
+    case 'wiperight':
+      return { from: {}, to: { clipPath: `inset(0 ${percent(1 - p)} 0 0)` } };
+    case 'wipeup':
+      return { from: {}, to: { clipPath: `inset(${percent(1 - p)} 0 0 0)` } };
+    case 'wipedown':
+      return { from: {}, to: { clipPath: `inset(0 0 ${percent(1 - p)} 0)` } };
+    case 'slideleft':
+      return { from: { transform: `translateX(${percent(-p)})` }, to: { transform: `translateX(${percent(1 - p)})` } };
+    case 'slideright':
+      return { from: { transform: `translateX(${percent(p)})` }, to: { transform: `translateX(${percent(p - 1)})` } };
+    case 'slideup':
+      return { from: { transform: `translateY(${percent(-p)})` }, to: { transform: `translateY(${percent(1 - p)})` } };
+    case 'slidedown':
+      return { from: { transform: `translateY(${percent(p)})` }, to: { transform: `translateY(${percent(p - 1)})` } };
+    case 'circleopen':
+      // 71% of the circle() reference length reaches the stage corners.
+      return { from: {}, to: { clipPath: `circle(${percent(p * 0.71)} at 50% 50%)` } };
+    case 'circleclose':
+      return { from: { clipPath: `circle(${percent((1 - p) * 0.71)} at 50% 50%)`, zIndex: 1 }, to: {} };
+    case 'radial': {
+      const mask = `conic-gradient(#000 ${(p * 360).toFixed(1)}deg, transparent 0)`;
+      return { from: {}, to: { maskImage: mask, WebkitMaskImage: mask } };
+    }
+    default:
+      return { from: {}, to: { opacity: p } };
+  }
+}
+
+// Compact cubic-bezier editor for the footer: drag the two control points to shape the curve.
+// The plot spans y from -0.5 to 1.5 so overshooting curves stay visible; x is limited to 0-1.
+function CurveEditor({ curve, onChange, disabled }) {
+  const svgRef = useRef(null);
+  const dragHandleRef = useRef(null);
+  const [x1, y1, x2, y2] = curve;
+
+  const toSvg = (x, y) => ({ x: 10 + x * 100, y: 110 - (y + 0.5) * 50 });
+  const fromEvent = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    const svgX = ((event.clientX - rect.left) / rect.width) * 120;
+    const svgY = ((event.clientY - rect.top) / rect.height) * 120;
+    return {
+      x: clamp((svgX - 10) / 100, 0, 1),
+      y: clamp((110 - svgY) / 50 - 0.5, -1, 2)
+    };
+  };
+
+  const handlePointerDown = (handleIndex) => (event) => {
+    if (disabled) {
+      return;
+    }
+    event.preventDefault();
+    dragHandleRef.current = handleIndex;
+    svgRef.current.setPointerCapture(event.pointerId);
+  };
+
+  const handlePointerMove = (event) => {
+    if (dragHandleRef.current === null) {
+      return;
+    }
+    const point = fromEvent(event);
+    const rounded = [point.x, point.y].map((value) => Math.round(value * 100) / 100);
+    onChange(dragHandleRef.current === 0 ? [...rounded, x2, y2] : [x1, y1, ...rounded]);
+  };
+
+  const handlePointerUp = () => {
+    dragHandleRef.current = null;
+  };
+
+  const start = toSvg(0, 0);
+  const end = toSvg(1, 1);
+  const c1 = toSvg(x1, y1);
+  const c2 = toSvg(x2, y2);
+
+  return (
+    <div className="CurveEditor">
+      <svg
+        ref={svgRef}
+        viewBox="0 0 120 120"
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        <rect className="CurveEditor__frame" x={start.x} y={end.y} width={end.x - start.x} height={start.y - end.y} />
+        <line className="CurveEditor__arm" x1={start.x} y1={start.y} x2={c1.x} y2={c1.y} />
+        <line className="CurveEditor__arm" x1={end.x} y1={end.y} x2={c2.x} y2={c2.y} />
+        <path
+          className="CurveEditor__curve"
+          d={`M ${start.x} ${start.y} C ${c1.x} ${c1.y}, ${c2.x} ${c2.y}, ${end.x} ${end.y}`}
+        />
+        <circle className="CurveEditor__handle" cx={c1.x} cy={c1.y} r={5} onPointerDown={handlePointerDown(0)} />
+        <circle className="CurveEditor__handle" cx={c2.x} cy={c2.y} r={5} onPointerDown={handlePointerDown(1)} />
+      </svg>
+      <span className="CurveEditor__value">
+        {curve.map((value) => value.toFixed(2)).join(', ')}
+      </span>
+    </div>
+  );
+}
+
+// Footer progress bar describing the active background render job.
+function RenderProgress({ job, onCancel }) {
+  const progress = job.progress || {};
+  const percent = clamp(progress.percent || 0, 0, 100);
+  const phaseLabel = RENDER_PHASE_LABELS[progress.phase] || progress.phase;
+  const activeClips = progress.activeClips || [];
+  const details = [];
+  if (progress.clipTotal && progress.phase === 'render') {
+    details.push(`${progress.clipsCompleted || 0} of ${progress.clipTotal} clips done`);
+  }
+  if (progress.phase === 'render' && activeClips.length === 1) {
+    // A single clip in flight gets the detailed frame/encode readout.
+    const [clip] = activeClips;
+    details.push(RENDER_PHASE_LABELS[clip.phase] || clip.phase);
+    if (clip.phase === 'frames' && clip.frameCount) {
+      details.push(`frame ${clip.frame}/${clip.frameCount}`);
+    }
+  } else if (progress.phase === 'render' && activeClips.length > 1) {
+    details.push(`${activeClips.length} clips in progress`);
+  } else if (phaseLabel) {
+    details.push(phaseLabel);
+  }
+  if (Number.isFinite(progress.etaSeconds)) {
+    details.push(`ETA ${formatEta(progress.etaSeconds)}`);
+  }
+  const isRunning = job.status === 'queued' || job.status === 'running';
+
+  return (
+    <div className="RenderProgress">
+      <div className="RenderProgress__row">
+        <div className="RenderProgress__track">
+          <div className="RenderProgress__bar" style={{ width: `${percent}%` }} />
+        </div>
+        {onCancel && (
+          <button
+            type="button"
+            className="RenderProgress__cancel"
+            onClick={onCancel}
+            disabled={!isRunning || job.message === 'Cancelling...'}
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+      <div className="RenderProgress__meta">
+        <span>{details.join(' \u00b7 ')}</span>
+        <span>{Math.round(percent)}%</span>
+      </div>
+    </div>
+  );
+}
+
+// Saved projects with load, rename, duplicate, bundle download, archive and delete, plus bundle import. Rename,
+// duplicate, bundle and delete open an inline form under the project; delete only goes ahead once the project's
+// slug is typed back.
+function ProjectsPanel({ projects, activeSlug, onSelect, onRename, onDuplicate, onArchive, onDelete, onImport, onClose }) {
+  const importInputRef = useRef(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [pending, setPending] = useState(null);
+  const [bundleImport, setBundleImport] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+  const [actionError, setActionError] = useState(null);
+  const archivedCount = projects.filter((project) => project.archivedAt).length;
+  const visibleProjects = projects.filter((project) => showArchived || !project.archivedAt);
+
+  const startAction = (project, action) => {
+    const name = project.name || project.slug;
+    setPending({
+      slug: project.slug,
+      action,
+      value: action === 'rename' ? name : action === 'duplicate' ? `${name} copy` : '',
+      includeClips: false,
+      includeFinal: false
+    });
+    setActionError(null);
+  };
+
+  const runAction = async (action) => {
+    setIsWorking(true);
+    setActionError(null);
+    try {
+      await action();
+      setPending(null);
+    } catch (error) {
+      setActionError(error.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const value = pending.value.trim();
+    if (pending.action === 'rename') {
+      runAction(() => onRename(pending.slug, value));
+    } else if (pending.action === 'duplicate') {
+      runAction(() => onDuplicate(pending.slug, value, pending.includeClips));
+    } else if (pending.action === 'delete') {
+      runAction(() => onDelete(pending.slug));
+    }
+  };
+
+  const handleImportSubmit = async (event) => {
+    event.preventDefault();
+    setIsWorking(true);
+    setActionError(null);
+    try {
+      await onImport(bundleImport.file, bundleImport.name.trim(), bundleImport.replace, (progress) => {
+        setBundleImport((prev) => (prev ? { ...prev, progress } : prev));
+      });
+      setBundleImport(null);
+    } catch (error) {
+      setBundleImport((prev) => (prev ? { ...prev, progress: null } : prev));
+      setActionError(error.message);
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
   return (
     <div className="ProjectsPanel">
       <div className="ProjectsPanel__inner">
         <div className="ProjectsPanel__header">
           <h2>Saved Projects</h2>
+          {archivedCount > 0 && (
+            <label className="ProjectsPanel__toggle">
+              <input
+                type="checkbox"
+                checked={showArchived}
+                onChange={(event) => setShowArchived(event.target.checked)}
+              />
+              Show archived ({archivedCount})
+            </label>
+          )}
+          <button type="button" onClick={() => importInputRef.current?.click()} disabled={isWorking}>
+            Import Bundle
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".tgz,.gz"
+            hidden
+            onChange={(event) => {
+              const file = event.target.files?.[0];
+              if (file) {
+                setBundleImport({ file, name: file.name.replace(/(\.kbproject)?\.(tgz|tar\.gz)$/i, ''), replace: false, progress: null });
+                setActionError(null);
+              }
+              event.target.value = '';
+            }}
+          />
           <button type="button" onClick={onClose}>Close</button>
         </div>
+        {actionError && <div className="ProjectsPanel__error">{actionError}</div>}
+        {bundleImport && (
+          <form className="ProjectsPanel__form" onSubmit={handleImportSubmit}>
+            <label>
+              Import {bundleImport.file.name} as
+              <input
+                type="text"
+                value={bundleImport.name}
+                onChange={(event) => setBundleImport({ ...bundleImport, name: event.target.value })}
+                autoFocus
+              />
+            </label>
+            <label className="ProjectsPanel__toggle">
+              <input
+                type="checkbox"
+                checked={bundleImport.replace}
+                onChange={(event) => setBundleImport({ ...bundleImport, replace: event.target.checked })}
+              />
+              Replace a project with the same name
+            </label>
+            {bundleImport.progress !== null && <progress max="1" value={bundleImport.progress} />}
+            <div className="ProjectsPanel__actions">
+              <button type="submit" disabled={isWorking || !bundleImport.name.trim()}>
+                Import
+              </button>
+              <button type="button" onClick={() => setBundleImport(null)} disabled={isWorking}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
         <div className="ProjectsPanel__list">
-          {projects.length === 0 ? (
-            <div className="ProjectsPanel__empty">No exports saved yet.</div>
+          {visibleProjects.length === 0 ? (
+            <div className="ProjectsPanel__empty">{archivedCount ? 'All projects are archived.' : 'No exports saved yet.'}</div>
           ) : (
-            projects.map((project) => {
+            visibleProjects.map((project) => {
               const updatedAt = project.updatedAt || project.createdAt;
               const formattedDate = updatedAt ? new Date(updatedAt).toLocaleString() : 'Unknown';
               const isActive = project.slug === activeSlug;
+              const form = pending?.slug === project.slug ? pending : null;
               return (
-                <button
+                <div
                   key={project.slug}
-                  type="button"
                   className={
-                    'ProjectsPanel__item' + (isActive ? ' ProjectsPanel__item--active' : '')
+                    'ProjectsPanel__item' +
+                    (isActive ? ' ProjectsPanel__item--active' : '') +
+                    (project.archivedAt ? ' ProjectsPanel__item--archived' : '')
                   }
-                  onClick={() => onSelect(project.slug)}
                 >
-                  <span className="ProjectsPanel__name">{project.name || project.slug}</span>
-                  <span className="ProjectsPanel__meta">
-                    {project.clipCount || 0} clip{project.clipCount === 1 ? '' : 's'} ? {formattedDate}
-                  </span>
-                </button>
+                  <button type="button" className="ProjectsPanel__load" onClick={() => onSelect(project.slug)}>
+                    <span className="ProjectsPanel__name">
+                      {project.name || project.slug}
+                      {project.archivedAt && <span className="ProjectsPanel__tag">Archived</span>}
+                    </span>
+                    <span className="ProjectsPanel__meta">
+                      {project.clipCount || 0} clip{project.clipCount === 1 ? '' : 's'} ? {formattedDate}
+                    </span>
+                  </button>
+                  <div className="ProjectsPanel__actions">
+                    <button type="button" onClick={() => startAction(project, 'rename')} disabled={isWorking}>
+                      Rename
+                    </button>
+                    <button type="button" onClick={() => startAction(project, 'duplicate')} disabled={isWorking}>
+                      Duplicate
+                    </button>
+                    <button type="button" onClick={() => startAction(project, 'bundle')} disabled={isWorking}>
+                      Bundle
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => runAction(() => onArchive(project.slug, !project.archivedAt))}
+                      disabled={isWorking}
+                    >
+                      {project.archivedAt ? 'Unarchive' : 'Archive'}
+                    </button>
+                    <button
+                      type="button"
+                      className="ProjectsPanel__danger"
+                      onClick={() => startAction(project, 'delete')}
+                      disabled={isWorking}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                  {form?.action === 'bundle' && (
+                    <div className="ProjectsPanel__form">
+                      <span className="ProjectsPanel__meta">
+                        Download the manifest, images and soundtrack as one file to import on another machine.
+                      </span>
+                      <label className="ProjectsPanel__toggle">
+                        <input
+                          type="checkbox"
+                          checked={form.includeClips}
+                          onChange={(event) => setPending({ ...form, includeClips: event.target.checked })}
+                        />
+                        Include rendered clips
+                      </label>
+                      <label className="ProjectsPanel__toggle">
+                        <input
+                          type="checkbox"
+                          checked={form.includeFinal}
+                          onChange={(event) => setPending({ ...form, includeFinal: event.target.checked })}
+                          disabled={!project.finalVideo}
+                        />
+                        Include final video
+                      </label>
+                      <div className="ProjectsPanel__actions">
+                        <a
+                          className="ProjectsPanel__download"
+                          href={`/api/projects/${encodeURIComponent(project.slug)}/bundle?clips=${form.includeClips ? 1 : 0}&final=${form.includeFinal ? 1 : 0}`}
+                          download
+                          onClick={() => setPending(null)}
+                        >
+                          Download
+                        </a>
+                        <button type="button" onClick={() => setPending(null)}>
+                          Cancel
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                  {form && form.action !== 'bundle' && (
+                    <form className="ProjectsPanel__form" onSubmit={handleSubmit}>
+                      <label>
+                        {form.action === 'rename' && 'New name'}
+                        {form.action === 'duplicate' && 'Name of the copy'}
+                        {form.action === 'delete' && (
+                          <>Deletes the project folder, its clips and its exported videos. Type <code>{project.slug}</code> to confirm.</>
+                        )}
+                        <input
+                          type="text"
+                          value={form.value}
+                          onChange={(event) => setPending({ ...form, value: event.target.value })}
+                          autoFocus
+                        />
+                      </label>
+                      {form.action === 'duplicate' && (
+                        <label className="ProjectsPanel__toggle">
+                          <input
+                            type="checkbox"
+                            checked={form.includeClips}
+                            onChange={(event) => setPending({ ...form, includeClips: event.target.checked })}
+                          />
+                          Copy rendered clips
+                        </label>
+                      )}
+                      <div className="ProjectsPanel__actions">
+                        <button
+                          type="submit"
+                          className={form.action === 'delete' ? 'ProjectsPanel__danger' : undefined}
+                          disabled={isWorking || (form.action === 'delete' ? form.value.trim() !== project.slug : !form.value.trim())}
+                        >
+                          {form.action === 'rename' ? 'Rename' : form.action === 'duplicate' ? 'Duplicate' : 'Delete permanently'}
+                        </button>
+                        <button type="button" onClick={() => setPending(null)} disabled={isWorking}>
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  )}
+                </div>
               );
             })
           )}
@@ -918,6 +2505,201 @@ function ProjectsPanel({ projects, activeSlug, onSelect, onClose }) {
   );
 }
 
+// Gallery upload area: drop files anywhere on the sidebar or browse for them, pick whether they go to the
+// images/ folder or the loaded project, and follow each file's progress or error.
+function UploadDropZone({ uploads, accept, target, canTargetProject, disabled, onTargetChange, onFiles, onClear }) {
+  const inputRef = useRef(null);
+  const isBusy = uploads.some((upload) => upload.status === 'queued' || upload.status === 'uploading');
+  return (
+    <div className="UploadDropZone">
+      <button
+        type="button"
+        className="UploadDropZone__browse"
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled}
+      >
+        Drop images here or click to upload
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={accept}
+        multiple
+        hidden
+        onChange={(event) => {
+          onFiles(event.target.files);
+          event.target.value = '';
+        }}
+      />
+      {canTargetProject && (
+        <label className="UploadDropZone__target">
+          Add to
+          <select value={target} onChange={(event) => onTargetChange(event.target.value)} disabled={disabled}>
+            <option value="ingest">images/ folder</option>
+            <option value="project">This project</option>
+          </select>
+        </label>
+      )}
+      {uploads.length > 0 && (
+        <ul className="UploadDropZone__list">
+          {uploads.map((upload) => (
+            <li key={upload.key} className={`UploadDropZone__file UploadDropZone__file--${upload.status}`}>
+              <span className="UploadDropZone__name" title={upload.fileName}>{upload.fileName}</span>
+              {upload.status === 'error' ? (
+                <span className="UploadDropZone__error">{upload.error}</span>
+              ) : (
+                <progress max="1" value={upload.progress} />
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {uploads.length > 0 && !isBusy && (
+        <button type="button" className="UploadDropZone__clear" onClick={onClear}>
+          Clear
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Modal for the project soundtrack: ordered track list plus volume, fades and trim/loop fitting.
+// Tracks play back to back; the mix is applied when clips are combined, so no clips re-render.
+function SoundtrackPanel({ audio, availableAudio, disabled, canFit, isFitting, onFit, onChange, onClose }) {
+  const selectedNames = new Set(audio.tracks.map((track) => track.fileName));
+  const addable = availableAudio.filter((item) => !selectedNames.has(item.fileName));
+
+  const moveTrack = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= audio.tracks.length) {
+      return;
+    }
+    const tracks = [...audio.tracks];
+    [tracks[index], tracks[target]] = [tracks[target], tracks[index]];
+    onChange({ tracks });
+  };
+
+  return (
+    <div className="ProjectsPanel">
+      <div className="ProjectsPanel__inner SoundtrackPanel">
+        <div className="ProjectsPanel__header">
+          <h2>Soundtrack</h2>
+          <button type="button" onClick={onClose}>Close</button>
+        </div>
+        <div className="ProjectsPanel__list">
+          {audio.tracks.length === 0 ? (
+            <div className="ProjectsPanel__empty">No music attached. Drop mp3/wav/m4a files next to your images.</div>
+          ) : (
+            audio.tracks.map((track, index) => (
+              <div key={track.fileName} className="SoundtrackPanel__track">
+                <span className="ProjectsPanel__name">{index + 1}. {track.fileName}</span>
+                <div className="SoundtrackPanel__trackButtons">
+                  <button type="button" onClick={() => moveTrack(index, -1)} disabled={disabled || index === 0}>
+                    Up
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => moveTrack(index, 1)}
+                    disabled={disabled || index === audio.tracks.length - 1}
+                  >
+                    Down
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onChange({ tracks: audio.tracks.filter((_, i) => i !== index) })}
+                    disabled={disabled}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+        <div className="SoundtrackPanel__controls">
+          <label>
+            Add track
+            <select
+              value=""
+              onChange={(event) => {
+                const item = addable.find((entry) => entry.fileName === event.target.value);
+                if (item) {
+                  onChange({ tracks: [...audio.tracks, { fileName: item.fileName, url: item.url }] });
+                }
+              }}
+              disabled={disabled || addable.length === 0}
+            >
+              <option value="">{addable.length ? 'Choose a file...' : 'No other audio files found'}</option>
+              {addable.map((item) => (
+                <option key={item.fileName} value={item.fileName}>
+                  {item.fileName}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label>
+            Volume
+            <input
+              type="range"
+              min="0"
+              max="2"
+              step="0.05"
+              value={audio.volume}
+              onChange={(event) => onChange({ volume: parseFloat(event.target.value) })}
+              disabled={disabled}
+            />
+            <span className="Toolbar__value">{Math.round(audio.volume * 100)}%</span>
+          </label>
+          <label>
+            Fade in (s)
+            <input
+              type="number"
+              min="0"
+              max="30"
+              step="0.5"
+              value={audio.fadeIn}
+              onChange={(event) => onChange({ fadeIn: Math.max(0, parseFloat(event.target.value) || 0) })}
+              disabled={disabled}
+            />
+          </label>
+          <label>
+            Fade out (s)
+            <input
+              type="number"
+              min="0"
+              max="30"
+              step="0.5"
+              value={audio.fadeOut}
+              onChange={(event) => onChange({ fadeOut: Math.max(0, parseFloat(event.target.value) || 0) })}
+              disabled={disabled}
+            />
+          </label>
+          <label>
+            Fit
+            <select
+              value={audio.fit}
+              onChange={(event) => onChange({ fit: event.target.value })}
+              disabled={disabled}
+            >
+              {AUDIO_FIT_OPTIONS.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <div className="SoundtrackPanel__fit">
+          <button type="button" onClick={onFit} disabled={disabled || !canFit || audio.tracks.length === 0}>
+            {isFitting ? 'Analysing...' : 'Fit Slides to Music'}
+          </button>
+          <span>Retimes every slide so transitions land on beats and the video ends with the soundtrack.</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
 // Displays a crosshair showing where the zoom animation will focus.
 function TargetMarker({ point, metrics }) {
   if (!point || !metrics) return null;
@@ -945,6 +2727,144 @@ function TargetMarker({ point, metrics }) {
   );
 }
 
+// Draws the pan arrow from its start focus to its end focus over the stage.
+function ArrowMarker({ arrow, metrics, isDraft }) {
+  if (!arrow || !metrics || !metrics.stageWidth || !metrics.stageHeight) return null;
+
+  // Arrow points are percentages of the image; draw in stage pixels so the head keeps its shape.
+  const projectPoint = (p) => ({
+    x: metrics.offsetX + (p.x / 100) * metrics.displayWidth,
+    y: metrics.offsetY + (p.y / 100) * metrics.displayHeight
+  });
+
+  const start = projectPoint(arrow.start);
+  const end = projectPoint(arrow.end);
+  const angle = Math.atan2(end.y - start.y, end.x - start.x);
+  const headLength = 14;
+  const headSpread = Math.PI / 7;
+  const head = [
+    end,
+    { x: end.x - headLength * Math.cos(angle - headSpread), y: end.y - headLength * Math.sin(angle - headSpread) },
+    { x: end.x - headLength * Math.cos(angle + headSpread), y: end.y - headLength * Math.sin(angle + headSpread) }
+  ];
+
+  return (
+    <svg
+      className={"ArrowMarker" + (isDraft ? " ArrowMarker--draft" : "")}
+      viewBox={`0 0 ${metrics.stageWidth} ${metrics.stageHeight}`}
+    >
+      <circle cx={start.x} cy={start.y} r={4} />
+      <line x1={start.x} y1={start.y} x2={end.x} y2={end.y} />
+      <polygon points={head.map((p) => `${p.x},${p.y}`).join(' ')} />
+    </svg>
+  );
+}
+
+// Numbered markers for each keyframe focus, joined in time order.
+function KeyframeMarkers({ keyframes, activeKeyframe, metrics }) {
+  if (!keyframes || !metrics || !metrics.stageWidth || !metrics.stageHeight) return null;
+
+  const projectPoint = (p) => ({
+    x: metrics.offsetX + (p.x / 100) * metrics.displayWidth,
+    y: metrics.offsetY + (p.y / 100) * metrics.displayHeight
+  });
+  const points = keyframes.map((keyframe) => projectPoint(keyframe.focus));
+
+  return (
+    <svg className="KeyframeMarkers" viewBox={`0 0 ${metrics.stageWidth} ${metrics.stageHeight}`}>
+      <polyline points={points.map((p) => `${p.x},${p.y}`).join(' ')} />
+      {points.map((p, index) => (
+        <g
+          key={index}
+          className={"KeyframeMarkers__point" + (keyframes[index] === activeKeyframe ? " KeyframeMarkers__point--active" : "")}
+        >
+          <circle cx={p.x} cy={p.y} r={9} />
+          <text x={p.x} y={p.y}>{index + 1}</text>
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+// Per-slide keyframe timeline: markers along the slide duration plus fields for the selected keyframe.
+function KeyframeStrip({ keyframes, activeIndex, duration, onSelect, onChange, onAdd, onRemove }) {
+  const active = keyframes ? keyframes[activeIndex] : null;
+  const safeDuration = duration > 0 ? duration : 1;
+
+  return (
+    <div className="KeyframeStrip">
+      <div className="KeyframeStrip__track">
+        {(keyframes || []).map((keyframe, index) => (
+          <button
+            key={index}
+            type="button"
+            className={"KeyframeStrip__marker" + (index === activeIndex ? " KeyframeStrip__marker--active" : "")}
+            style={{ left: `${keyframe.time * 100}%` }}
+            onClick={() => onSelect(index)}
+            title={`Keyframe ${index + 1} at ${(keyframe.time * safeDuration).toFixed(1)}s`}
+          >
+            {index + 1}
+          </button>
+        ))}
+      </div>
+      <div className="KeyframeStrip__fields">
+        {active ? (
+          <>
+            <label>
+              Time (s)
+              <input
+                type="number"
+                min="0"
+                max={safeDuration}
+                step="0.1"
+                value={Number((active.time * safeDuration).toFixed(2))}
+                onChange={(event) =>
+                  onChange(activeIndex, { time: clamp((parseFloat(event.target.value) || 0) / safeDuration, 0, 1) })
+                }
+              />
+            </label>
+            <label>
+              Zoom
+              <input
+                type="range"
+                min="1"
+                max="3.5"
+                step="0.1"
+                value={active.zoom}
+                onChange={(event) => onChange(activeIndex, { zoom: parseFloat(event.target.value) || 1 })}
+              />
+              <span className="Toolbar__value">{active.zoom.toFixed(1)}x</span>
+            </label>
+            <label>
+              Easing
+              <select
+                value={active.easing || DEFAULT_EASING}
+                onChange={(event) => onChange(activeIndex, { easing: event.target.value })}
+                disabled={activeIndex === 0}
+                title={activeIndex === 0 ? 'Easing shapes the move into a keyframe; the first keyframe has none' : undefined}
+              >
+                {EASING_OPTIONS.map((easing) => (
+                  <option key={easing.id} value={easing.id}>
+                    {easing.label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <button type="button" onClick={onRemove}>
+              Remove Keyframe
+            </button>
+          </>
+        ) : (
+          <span className="KeyframeStrip__empty">No keyframes; the slide follows its target or pan arrow.</span>
+        )}
+        <button type="button" onClick={onAdd}>
+          Add Keyframe
+        </button>
+      </div>
+    </div>
+  );
+}
+
 // Highlights the portion of the image visible at the target zoom level.
 function ActiveAreaOverlay({ metrics, zoom, targetPoint }) {
     if (!metrics || !targetPoint || zoom <= 1) {
@@ -979,12 +2899,18 @@ function ActiveAreaOverlay({ metrics, zoom, targetPoint }) {
  * Primary editing surface that wires pointer events, live preview playback,
  * and metric calculations for the selected image.
  */
-function MainViewer({ image, config, onUpdateConfig, clipInfo, onRegenerateClip, isRegenerating, canRegenerate, isExporting, isClipDone, onContinue, canContinue }) {
+function MainViewer({ image, config, onUpdateConfig, clipInfo, onRegenerateClip, isRegenerating, canRegenerate, isExporting, isClipDone, onContinue, canContinue, aspectRatio, nextImage, nextConfig, cardSources, onUpdateCard, onRemoveCard }) {
   const containerRef = useRef(null);
   const imgRef = useRef(null);
   const [imageMetrics, setImageMetrics] = useState(null);
   const [currentZoom, setCurrentZoom] = useState(1);
+  const [currentFocus, setCurrentFocus] = useState(null);
+  const [draftArrow, setDraftArrow] = useState(null);
+  const [selectedKeyframe, setSelectedKeyframe] = useState(0);
+  const [transitionProgress, setTransitionProgress] = useState(null);
+  const [captionOpacity, setCaptionOpacity] = useState(null);
   const animationFrameRef = useRef(null);
+  const dragStartRef = useRef(null);
 
   // Stop any in-flight preview animation before resetting state.
   const cancelAnimation = useCallback(() => {
@@ -993,29 +2919,27 @@ function MainViewer({ image, config, onUpdateConfig, clipInfo, onRegenerateClip,
       animationFrameRef.current = null;
     }
     setCurrentZoom(1);
+    setCurrentFocus(null);
+    setTransitionProgress(null);
+    setCaptionOpacity(null);
   }, []);
 
-  // Measure how the rendered image sits inside the stage for accurate math.
+  const framing = config.framing || DEFAULT_FRAMING;
+
+  // Lay the image out in the stage the way the backend frames it, so the math matches exports.
   const updateImageMetrics = useCallback(() => {
     if (!containerRef.current || !imgRef.current) {
       return;
     }
     const stageRect = containerRef.current.getBoundingClientRect();
-    const imageRect = imgRef.current.getBoundingClientRect();
-    if (!imageRect.width || !imageRect.height) {
+    const { naturalWidth, naturalHeight } = imgRef.current;
+    if (!stageRect.width || !stageRect.height || !naturalWidth || !naturalHeight) {
       return;
     }
-    setImageMetrics({
-      stageWidth: stageRect.width,
-      stageHeight: stageRect.height,
-      offsetX: imageRect.left - stageRect.left,
-      offsetY: imageRect.top - stageRect.top,
-      displayWidth: imageRect.width,
-      displayHeight: imageRect.height,
-      naturalWidth: imgRef.current.naturalWidth || imageRect.width,
-      naturalHeight: imgRef.current.naturalHeight || imageRect.height
-    });
-  }, []);
+    setImageMetrics(
+      buildBaseMetrics(naturalWidth, naturalHeight, { width: stageRect.width, height: stageRect.height }, framing)
+    );
+  }, [framing]);
 
   useEffect(() => {
     const element = containerRef.current;
@@ -1044,9 +2968,15 @@ function MainViewer({ image, config, onUpdateConfig, clipInfo, onRegenerateClip,
   useEffect(() => {
     // Reset preview state when switching to a different image.
     cancelAnimation();
+    setSelectedKeyframe(0);
     window.requestAnimationFrame(updateImageMetrics);
   }, [image.id, cancelAnimation, updateImageMetrics]);
 
+  useEffect(() => {
+    // The stage resizes when the project's output aspect ratio changes.
+    window.requestAnimationFrame(updateImageMetrics);
+  }, [aspectRatio, updateImageMetrics]);
+
   useEffect(() => {
     return () => {
       cancelAnimation();
@@ -1062,8 +2992,67 @@ function MainViewer({ image, config, onUpdateConfig, clipInfo, onRegenerateClip,
       imageMetrics.stageHeight
   );
 
-  // Convert user clicks into normalized coordinates for the zoom target.
-  const handleStageClick = (event) => {
+  const keyframes = Array.isArray(config.keyframes) && config.keyframes.length >= 2 ? config.keyframes : null;
+  const activeKeyframe = keyframes ? keyframes[Math.min(selectedKeyframe, keyframes.length - 1)] : null;
+
+  // Keep keyframes sorted by time and follow the edited keyframe to its new position.
+  const commitKeyframes = (nextKeyframes, focusedKeyframe) => {
+    const sorted = [...nextKeyframes].sort((a, b) => a.time - b.time);
+    if (sorted.length < 2) {
+      onUpdateConfig({ keyframes: null, targetPoint: sorted[0]?.focus || config.targetPoint });
+      setSelectedKeyframe(0);
+      return;
+    }
+    onUpdateConfig({ keyframes: sorted, arrow: null, targetPoint: sorted[0].focus });
+    setSelectedKeyframe(Math.max(0, sorted.indexOf(focusedKeyframe)));
+  };
+
+  const handleKeyframeChange = (index, patch) => {
+    if (!keyframes) {
+      return;
+    }
+    cancelAnimation();
+    const edited = { ...keyframes[index], ...patch };
+    commitKeyframes(keyframes.map((keyframe, idx) => (idx === index ? edited : keyframe)), edited);
+  };
+
+  // Seed a path from the current target/arrow, or split the widest gap of an existing path.
+  const handleAddKeyframe = () => {
+    cancelAnimation();
+    if (!keyframes) {
+      const focus = config.targetPoint || { x: 50, y: 50 };
+      const seeded = config.arrow
+        ? arrowToKeyframes(config.arrow, config.easing)
+        : [
+            { time: 0, focus, zoom: 1, easing: config.easing || DEFAULT_EASING },
+            { time: 1, focus, zoom: config.zoom, easing: config.easing || DEFAULT_EASING }
+          ];
+      commitKeyframes(seeded, seeded[1]);
+      return;
+    }
+    let gapIndex = 0;
+    for (let i = 1; i < keyframes.length - 1; i++) {
+      if (keyframes[i + 1].time - keyframes[i].time > keyframes[gapIndex + 1].time - keyframes[gapIndex].time) {
+        gapIndex = i;
+      }
+    }
+    const time = (keyframes[gapIndex].time + keyframes[gapIndex + 1].time) / 2;
+    const { focus, zoom } = evaluateKeyframePath(keyframes, time, config.easingCurve);
+    const added = { time, focus, zoom, easing: config.easing || DEFAULT_EASING };
+    commitKeyframes([...keyframes, added], added);
+  };
+
+  const handleRemoveKeyframe = () => {
+    if (!activeKeyframe) {
+      return;
+    }
+    cancelAnimation();
+    const remaining = keyframes.filter((keyframe) => keyframe !== activeKeyframe);
+    commitKeyframes(remaining, remaining[Math.max(0, selectedKeyframe - 1)]);
+  };
+
+  // Start tracking a press on the stage; it becomes a click or a pan-arrow drag on release.
+  const handleStagePointerDown = (event) => {
     if (!metricsReady) {
       return;
     }
@@ -1075,27 +3064,120 @@ function MainViewer({ image, config, onUpdateConfig, clipInfo, onRegenerateClip,
     event.stopPropagation();
 
     cancelAnimation();
-    const targetPoint = getRelativePoint(event, containerRef.current, imageMetrics);
-    onUpdateConfig({ targetPoint, arrow: null });
+    if (event.currentTarget.setPointerCapture) {
+      event.currentTarget.setPointerCapture(event.pointerId);
+    }
+    dragStartRef.current = getRelativePoint(event, containerRef.current, imageMetrics);
+  };
+
+  const handleStagePointerMove = (event) => {
+    const start = dragStartRef.current;
+    if (!start || keyframes) {
+      return;
+    }
+    const end = getRelativePoint(event, containerRef.current, imageMetrics);
+    setDraftArrow(distancePercent(start, end) >= MIN_ARROW_LENGTH ? { start, end } : null);
+  };
+
+  // Short presses set the zoom target; longer drags pan from the press point to the release point.
+  const handleStagePointerUp = (event) => {
+    const start = dragStartRef.current;
+    if (!start) {
+      return;
+    }
+    dragStartRef.current = null;
+    setDraftArrow(null);
+
+    const end = getRelativePoint(event, containerRef.current, imageMetrics);
+    if (activeKeyframe) {
+      // With a keyframe path, presses move the selected keyframe's focus.
+      handleKeyframeChange(keyframes.indexOf(activeKeyframe), { focus: end });
+      return;
+    }
+    if (distancePercent(start, end) < MIN_ARROW_LENGTH) {
+      onUpdateConfig({ targetPoint: start, arrow: null });
+      return;
+    }
+    onUpdateConfig({
+      targetPoint: start,
+      arrow: {
+        start,
+        end,
+        startZoom: config.arrow?.startZoom ?? config.zoom,
+        endZoom: config.arrow?.endZoom ?? config.zoom
+      }
+    });
+  };
+
+  const handleStagePointerCancel = () => {
+    dragStartRef.current = null;
+    setDraftArrow(null);
   };
 
   // Remove the focus target and reset any preview zoom.
   const handleClearTarget = () => {
     cancelAnimation();
-    onUpdateConfig({ targetPoint: null, arrow: null });
+    onUpdateConfig({ targetPoint: null, arrow: null, keyframes: null });
+    setSelectedKeyframe(0);
   };
 
   // Manually drive a requestAnimationFrame loop to mimic the final animation.
+  // Play this slide's transition into the next slide over the stage, holding briefly on either side.
+  const handlePreviewTransition = () => {
+    if (!nextImage) {
+      return;
+    }
+    cancelAnimation();
+
+    const holdMs = 500;
+    const transitionMs = Math.max(0, Number(config.fadeDuration) || 0) * 1000;
+    let startTime = null;
+    const animate = (timestamp) => {
+      if (!startTime) {
+        startTime = timestamp;
+      }
+      const elapsed = timestamp - startTime;
+      const progress = transitionMs > 0 ? clamp((elapsed - holdMs) / transitionMs, 0, 1) : (elapsed >= holdMs ? 1 : 0);
+      setTransitionProgress(progress);
+
+      if (elapsed < holdMs * 2 + transitionMs) {
+        animationFrameRef.current = requestAnimationFrame(animate);
+      } else {
+        setTransitionProgress(null);
+        animationFrameRef.current = null;
+      }
+    };
+
+    animationFrameRef.current = requestAnimationFrame(animate);
+  };
+
   const handlePreview = () => {
     if (!config.targetPoint || !metricsReady) {
       return;
     }
     cancelAnimation();
 
+    const motionPath = keyframes || (config.arrow ? arrowToKeyframes(config.arrow, config.easing) : null);
+    const ease = getEasingFunction(config.easing, config.easingCurve);
     const motionStyle = config.motionStyle || 'ping-pong';
     const startZoom = motionStyle === 'zoom-out' ? config.zoom : 1;
     const endZoom = motionStyle === 'zoom-out' ? 1 : config.zoom;
 
+    // Focus and zoom at a given 0-1 progress, eased the same way generateFramesForImage does.
+    const sample = (progress) => {
+      if (motionPath) {
+        return evaluateKeyframePath(motionPath, progress, config.easingCurve);
+      }
+      let eased = 0;
+      if (motionStyle === 'ping-pong') {
+        const pingPongProgress = progress < 0.5 ? progress * 2 : (1 - progress) * 2;
+        eased = ease(pingPongProgress);
+      } else {
+        eased = ease(progress);
+      }
+      return { focus: config.targetPoint, zoom: startZoom + (endZoom - startZoom) * eased };
+    };
+
     let startTime = null;
     const animate = (timestamp) => {
       if (!startTime) {
@@ -1104,21 +3186,25 @@ function MainViewer({ image, config, onUpdateConfig, clipInfo, onRegenerateClip,
       const elapsed = timestamp - startTime;
       const progress = Math.min(elapsed / (config.duration * 1000), 1);
 
-      let eased = 0;
-      if (motionStyle === 'ping-pong') {
-        const pingPongProgress = progress < 0.5 ? progress * 2 : (1 - progress) * 2;
-        eased = easeInOut(pingPongProgress);
-      } else {
-        eased = easeInOut(progress);
-      }
-
-      const zoom = startZoom + (endZoom - startZoom) * eased;
+      const { focus, zoom } = sample(progress);
+      setCurrentFocus(focus);
       setCurrentZoom(zoom);
+      if (config.caption) {
+        setCaptionOpacity(getCaptionOpacity({ ...DEFAULT_CAPTION, ...config.caption }, progress * config.duration, config.duration));
+      }
 
       if (progress < 1) {
         animationFrameRef.current = requestAnimationFrame(animate);
       } else {
-        setCurrentZoom(config.lockZoom ? endZoom : 1);
+        setCaptionOpacity(null);
+        if (config.lockZoom) {
+          const final = motionPath ? sample(1) : { focus: config.targetPoint, zoom: endZoom };
+          setCurrentFocus(final.focus);
+          setCurrentZoom(final.zoom);
+        } else {
+          setCurrentFocus(null);
+          setCurrentZoom(1);
+        }
         animationFrameRef.current = null;
       }
     };
@@ -1126,10 +3212,15 @@ function MainViewer({ image, config, onUpdateConfig, clipInfo, onRegenerateClip,
     animationFrameRef.current = requestAnimationFrame(animate);
   };
 
+  // Motion runs over the framing surface while points stay in image percentages, as on the backend.
+  const surfaceMetrics = metricsReady ? getMotionSurface(imageMetrics, framing) : null;
+  const toSurface = (point) => (metricsReady ? toSurfacePoint(point, imageMetrics, framing) : point);
+  const backdropBlur = metricsReady ? FRAMING_BLUR * Math.min(imageMetrics.stageWidth, imageMetrics.stageHeight) : 0;
+
   // Mirror the backend transform math so previews match exports.
   const transformProps = getKenBurnsTransform(
-    config.targetPoint,
-    imageMetrics,
+    toSurface(currentFocus || config.targetPoint),
+    surfaceMetrics,
     currentZoom
   );
 
@@ -1150,38 +3241,106 @@ function MainViewer({ image, config, onUpdateConfig, clipInfo, onRegenerateClip,
   const hintMessage = !metricsReady
     // Provide contextual guidance while the user sets up an image.
     ? "Loading image metrics..."
+    : keyframes
+    ? `Click to move keyframe ${keyframes.indexOf(activeKeyframe) + 1}`
+    : config.arrow
+    ? "Drag to redraw the pan, or click to zoom on a single point"
     : config.targetPoint
-    ? "Click to change the zoom target"
-    : "Click to set the zoom target";
+    ? "Click to change the zoom target, or drag to pan"
+    : "Click to set the zoom target, or drag to pan";
 
   return (
     <div className="Viewer__content">
-      <div
-        className={stageClassName}
-        ref={containerRef}
-        onClick={handleStageClick}
-        onDragStart={(event) => event.preventDefault()}
-      >
-        <div className="Viewer__imageWrapper" style={transformStyle}>
-          <img
-            ref={imgRef}
-            src={image.url}
-            alt={image.fileName}
-            draggable={false}
-            onDragStart={(event) => event.preventDefault()}
-            onLoad={() => {
-              window.requestAnimationFrame(updateImageMetrics);
-            }}
-          />
+      <div className="Viewer__stageFrame">
+        <div
+          className={stageClassName}
+          ref={containerRef}
+          style={{ '--stage-aspect': aspectRatio || 16 / 9 }}
+          onPointerDown={handleStagePointerDown}
+          onPointerMove={handleStagePointerMove}
+          onPointerUp={handleStagePointerUp}
+          onPointerCancel={handleStagePointerCancel}
+          onDragStart={(event) => event.preventDefault()}
+        >
+          <div className="Viewer__imageWrapper" style={transformStyle}>
+            <FramingBackdrop image={image} framing={framing} color={config.framingColor} blur={backdropBlur} />
+            <img
+              ref={imgRef}
+              src={image.url || undefined}
+              alt={getSlideLabel(image)}
+              draggable={false}
+              style={metricsReady ? {
+                left: `${imageMetrics.offsetX}px`,
+                top: `${imageMetrics.offsetY}px`,
+                width: `${imageMetrics.displayWidth}px`,
+                height: `${imageMetrics.displayHeight}px`
+              } : { visibility: 'hidden' }}
+              onDragStart={(event) => event.preventDefault()}
+              onLoad={() => {
+                window.requestAnimationFrame(updateImageMetrics);
+              }}
+            />
+          </div>
+          {keyframes ? (
+            <>
+              <ActiveAreaOverlay metrics={surfaceMetrics} zoom={activeKeyframe.zoom} targetPoint={toSurface(activeKeyframe.focus)} />
+              <KeyframeMarkers keyframes={keyframes} activeKeyframe={activeKeyframe} metrics={imageMetrics} />
+            </>
+          ) : config.arrow ? (
+            <>
+              <ActiveAreaOverlay metrics={surfaceMetrics} zoom={config.arrow.startZoom} targetPoint={toSurface(config.arrow.start)} />
+              <ActiveAreaOverlay metrics={surfaceMetrics} zoom={config.arrow.endZoom} targetPoint={toSurface(config.arrow.end)} />
+              {!draftArrow && <ArrowMarker arrow={config.arrow} metrics={imageMetrics} />}
+            </>
+          ) : (
+            <>
+              <ActiveAreaOverlay metrics={surfaceMetrics} zoom={config.zoom} targetPoint={toSurface(config.targetPoint)} />
+              <TargetMarker point={config.targetPoint} metrics={imageMetrics} />
+            </>
+          )}
+          {draftArrow && <ArrowMarker arrow={draftArrow} metrics={imageMetrics} isDraft />}
+          <CaptionOverlay caption={config.caption} metrics={imageMetrics} opacity={captionOpacity} />
+          {hintMessage && <div className="Viewer__hint">{hintMessage}</div>}
+          {transitionProgress !== null && nextImage && (
+            <TransitionPreview
+              fromImage={image}
+              toImage={nextImage}
+              fromConfig={config}
+              toConfig={nextConfig}
+              blur={backdropBlur}
+              transition={config.transition}
+              progress={transitionProgress}
+            />
+          )}
         </div>
-        <ActiveAreaOverlay metrics={imageMetrics} zoom={config.zoom} targetPoint={config.targetPoint} />
-        <TargetMarker point={config.targetPoint} metrics={imageMetrics} />
-        {hintMessage && <div className="Viewer__hint">{hintMessage}</div>}
       </div>
+      {image.kind === 'card' && (
+        <CardEditor
+          card={image.card}
+          sources={cardSources || []}
+          onChange={onUpdateCard}
+          onRemove={onRemoveCard}
+        />
+      )}
+      <KeyframeStrip
+        keyframes={keyframes}
+        activeIndex={keyframes ? keyframes.indexOf(activeKeyframe) : -1}
+        duration={config.duration}
+        onSelect={setSelectedKeyframe}
+        onChange={handleKeyframeChange}
+        onAdd={handleAddKeyframe}
+        onRemove={handleRemoveKeyframe}
+      />
+      <CaptionEditor
+        caption={config.caption}
+        description={config.description}
+        onChange={(caption) => onUpdateConfig({ caption })}
+        onDescriptionChange={(description) => onUpdateConfig({ description })}
+      />
       <div className="Viewer__controls">
         <div className="Viewer__meta">
-          <h2>{image.fileName}</h2>
-          <p>{(image.size / 1024 ** 2).toFixed(1)} MB</p>
+          <h2>{getSlideLabel(image)}</h2>
+          <p>{image.kind === 'card' ? 'Title card' : `${(image.size / 1024 ** 2).toFixed(1)} MB`}</p>
           {canRegenerate && (
             <p className="Viewer__clipMeta">
               {clipInfo?.clipFile ? `Clip: ${clipInfo.clipFile}` : 'No clip saved yet'}
@@ -1198,6 +3357,9 @@ function MainViewer({ image, config, onUpdateConfig, clipInfo, onRegenerateClip,
           <button onClick={handlePreview} disabled={!config.targetPoint || !metricsReady}>
             Preview Zoom
           </button>
+          <button onClick={handlePreviewTransition} disabled={!nextImage}>
+            Preview Transition
+          </button>
           <button onClick={handleClearTarget} disabled={!config.targetPoint}>
             Clear Target
           </button>
@@ -1223,6 +3385,54 @@ function MainViewer({ image, config, onUpdateConfig, clipInfo, onRegenerateClip,
   );
 }
 
+// Mirrors buildBaseMetrics in render.js: cover scales the image to fill the stage, contain fits it inside.
+function buildBaseMetrics(naturalWidth, naturalHeight, video, framing = DEFAULT_FRAMING) {
+  const stageWidth = video.width;
+  const stageHeight = video.height;
+  const fitScale = framing === 'cover' ? Math.max : Math.min;
+  const baseScale = fitScale(stageWidth / naturalWidth, stageHeight / naturalHeight);
+  const displayWidth = naturalWidth * baseScale;
+  const displayHeight = naturalHeight * baseScale;
+  return {
+    stageWidth,
+    stageHeight,
+    displayWidth,
+    displayHeight,
+    offsetX: (stageWidth - displayWidth) / 2,
+    offsetY: (stageHeight - displayHeight) / 2,
+    naturalWidth,
+    naturalHeight,
+    baseScale
+  };
+}
+
+// Mirrors getMotionSurface in render.js: a contained image moves together with its frame-sized fill.
+function getMotionSurface(metrics, framing) {
+  if (framing === 'cover') {
+    return metrics;
+  }
+  return {
+    ...metrics,
+    displayWidth: metrics.stageWidth,
+    displayHeight: metrics.stageHeight,
+    offsetX: 0,
+    offsetY: 0,
+    naturalWidth: metrics.stageWidth / metrics.baseScale,
+    naturalHeight: metrics.stageHeight / metrics.baseScale
+  };
+}
+
+// Mirrors toSurfacePoint in render.js: image percentages to motion-surface percentages.
+function toSurfacePoint(point, metrics, framing) {
+  if (!point || framing === 'cover') {
+    return point;
+  }
+  return {
+    x: ((metrics.offsetX + (point.x / 100) * metrics.displayWidth) / metrics.stageWidth) * 100,
+    y: ((metrics.offsetY + (point.y / 100) * metrics.displayHeight) / metrics.stageHeight) * 100
+  };
+}
+
 // Compute the CSS transform that keeps the focus point centered during zooming.
 function getKenBurnsTransform(targetPoint, metrics, scale) {
   if (!targetPoint || !metrics || !metrics.stageWidth || !metrics.stageHeight) {
@@ -1307,6 +3517,146 @@ function clamp(value, min, max) {
   return Math.min(Math.max(value, min), max);
 }
 
+// Check a file against the upload types and size limit reported by /api/settings before sending it.
+function getUploadError(file, limits) {
+  if (!limits) {
+    return null;
+  }
+  const extension = (file.name.match(/\.[^.]+$/)?.[0] || '').toLowerCase();
+  if (!limits.extensions.includes(extension)) {
+    return 'Unsupported file type';
+  }
+  if (file.size > limits.maxBytes) {
+    return `Larger than ${Math.round(limits.maxBytes / 1024 ** 2)} MB`;
+  }
+  return null;
+}
+
+// POST one file as multipart `fileField` to `url` (image uploads, project bundles). Uses XMLHttpRequest because
+// fetch cannot report upload progress.
+function uploadFormFile(url, fileField, file, fields, onProgress) {
+  return new Promise((resolve, reject) => {
+    const form = new FormData();
+    // Fields go first so the server knows the destination before the file arrives.
+    Object.entries(fields).forEach(([name, value]) => {
+      if (value) {
+        form.append(name, value);
+      }
+    });
+    form.append(fileField, file);
+    const request = new XMLHttpRequest();
+    request.open('POST', url);
+    request.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        onProgress(event.loaded / event.total);
+      }
+    };
+    request.onload = () => {
+      let result = null;
+      try {
+        result = JSON.parse(request.responseText);
+      } catch (error) {
+        result = null;
+      }
+      if (request.status >= 200 && request.status < 300 && result) {
+        resolve(result);
+      } else {
+        reject(new Error(result?.error || `Upload failed (${request.status})`));
+      }
+    };
+    request.onerror = () => reject(new Error('Network error'));
+    request.send(form);
+  });
+}
+
+// Gallery and viewer label for a slide (mirrors getSlideLabel in render.js).
+function getSlideLabel(image) {
+  if (image.kind !== 'card') {
+    return image.fileName;
+  }
+  const title = String(image.card?.title || '').split('\n')[0].trim();
+  return title ? `Card: ${title}` : 'Card';
+}
+
+// Caption opacity `time` seconds into a slide of `duration` seconds (mirrors render.js).
+function getCaptionOpacity(caption, time, duration) {
+  const fadeIn = caption.fadeIn > 0 ? time / caption.fadeIn : 1;
+  const fadeOut = caption.fadeOut > 0 ? (duration - time) / caption.fadeOut : 1;
+  return clamp(Math.min(fadeIn, fadeOut), 0, 1);
+}
+
+function hexToRgba(hex, alpha) {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+// Format a remaining-time estimate such as "1m 05s".
+function formatEta(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const minutes = Math.floor(total / 60);
+  const remainder = String(total % 60).padStart(2, '0');
+  return minutes ? `${minutes}m ${remainder}s` : `${total}s`;
+}
+
+// Follow a background render job until it finishes, reporting each snapshot to onUpdate.
+// Uses Server-Sent Events and falls back to polling if the stream drops.
+function followRenderJob(jobId, onUpdate) {
+  return new Promise((resolve, reject) => {
+    let pollTimer = null;
+
+    const handleSnapshot = (job) => {
+      onUpdate(job);
+      if (job.status === 'completed') {
+        resolve(job.result || {});
+        return true;
+      }
+      if (job.status === 'cancelled') {
+        resolve({ ...(job.result || {}), cancelled: true, message: job.message });
+        return true;
+      }
+      if (job.status === 'failed') {
+        reject(new Error(job.error || 'Render failed'));
+        return true;
+      }
+      return false;
+    };
+
+    const poll = () => {
+      fetch(`/api/jobs/${encodeURIComponent(jobId)}`)
+        .then((res) => {
+          if (!res.ok) {
+            throw new Error('Lost track of the render job');
+          }
+          return res.json();
+        })
+        .then((job) => {
+          if (!handleSnapshot(job)) {
+            pollTimer = setTimeout(poll, 1000);
+          }
+        })
+        .catch(reject);
+    };
+
+    if (typeof EventSource === 'undefined') {
+      poll();
+      return;
+    }
+
+    const source = new EventSource(`/api/jobs/${encodeURIComponent(jobId)}/events`);
+    source.onmessage = (event) => {
+      if (handleSnapshot(JSON.parse(event.data))) {
+        source.close();
+      }
+    };
+    source.onerror = () => {
+      source.close();
+      if (!pollTimer) {
+        poll();
+      }
+    };
+  });
+}
+
 // Numeric cubic-bezier solver so the preview matches CSS ease-in-out timing.
 function cubicBezier(p1x, p1y, p2x, p2y) {
   const cx = 3 * p1x;
@@ -1351,7 +3701,63 @@ function cubicBezier(p1x, p1y, p2x, p2y) {
 
 const easeInOut = cubicBezier(0.42, 0, 0.58, 1);
 
-// Helper kept around for measuring cursor distances in percent space (used by previous tooling).
+// Named easing curves (mirrors render.js). `custom` uses the slide's own `easingCurve`.
+const EASING_CURVES = {
+  linear: (t) => t,
+  'ease-in': cubicBezier(0.42, 0, 1, 1),
+  'ease-out': cubicBezier(0, 0, 0.58, 1),
+  'ease-in-out': easeInOut
+};
+const DEFAULT_EASING = 'ease-in-out';
+const DEFAULT_EASING_CURVE = [0.42, 0, 0.58, 1];
+
+// Resolve an easing name (plus the slide's custom curve) to a 0-1 timing function.
+function getEasingFunction(easing, easingCurve) {
+  if (easing === 'custom') {
+    const curve = Array.isArray(easingCurve) && easingCurve.length === 4 ? easingCurve : DEFAULT_EASING_CURVE;
+    return cubicBezier(...curve);
+  }
+  return EASING_CURVES[easing] || EASING_CURVES[DEFAULT_EASING];
+}
+
+// Evaluate a keyframe path at a 0-1 slide progress; mirrors evaluateKeyframePath in render.js
+// so the preview and the exported frames follow the same path.
+function evaluateKeyframePath(keyframes, progress, easingCurve) {
+  const first = keyframes[0];
+  const last = keyframes[keyframes.length - 1];
+  if (progress <= first.time) {
+    return { focus: first.focus, zoom: first.zoom };
+  }
+  if (progress >= last.time) {
+    return { focus: last.focus, zoom: last.zoom };
+  }
+  let nextIndex = 1;
+  while (nextIndex < keyframes.length - 1 && keyframes[nextIndex].time < progress) {
+    nextIndex += 1;
+  }
+  const from = keyframes[nextIndex - 1];
+  const to = keyframes[nextIndex];
+  const span = to.time - from.time;
+  const local = span > 0 ? (progress - from.time) / span : 1;
+  const eased = getEasingFunction(to.easing, easingCurve)(clamp(local, 0, 1));
+  return {
+    focus: {
+      x: from.focus.x + (to.focus.x - from.focus.x) * eased,
+      y: from.focus.y + (to.focus.y - from.focus.y) * eased
+    },
+    zoom: from.zoom + (to.zoom - from.zoom) * eased
+  };
+}
+
+// A pan arrow is a two-keyframe path eased end to end with the slide's easing.
+function arrowToKeyframes(arrow, easing = DEFAULT_EASING) {
+  return [
+    { time: 0, focus: arrow.start, zoom: arrow.startZoom, easing },
+    { time: 1, focus: arrow.end, zoom: arrow.endZoom, easing }
+  ];
+}
+
+// Measure cursor distances in percent space; tells a click from a pan-arrow drag.
 function distancePercent(a, b) {
   if (!a || !b) {
     return 0;
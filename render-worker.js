@@ -0,0 +1,41 @@
+/**
+ * Ken Burns Studio clip worker
+ *
+ * Entry point for the worker threads started by renderClipsInParallel in server.js. Each worker
+ * renders a single clip and reports progress and the result back to the pool.
+ */
+
+const { parentPort, workerData } = require("worker_threads");
+const { renderClip, isNvencUnavailable, markNvencUnavailable } = require("./render");
+
+async function runClipWorker() {
+  const { workspace, imageConfig, imageIndex, video } = workerData;
+  if (workerData.nvencUnavailable) {
+    markNvencUnavailable();
+  }
+  const abortController = new AbortController();
+  const post = (message) => parentPort.postMessage({ ...message, nvencUnavailable: isNvencUnavailable() });
+
+  parentPort.on('message', (message) => {
+    if (message?.type === 'cancel') {
+      abortController.abort();
+    }
+  });
+
+  try {
+    const clipPath = await renderClip(workspace, imageConfig, imageIndex, {
+      video,
+      signal: abortController.signal,
+      onFrame: (frame, frameCount) => post({ type: 'progress', patch: { phase: 'frames', frame, frameCount } }),
+      onEncodeStart: () => post({ type: 'progress', patch: { phase: 'encode', encodeFraction: 0 } }),
+      onEncodeProgress: (encodeFraction) => post({ type: 'progress', patch: { encodeFraction } })
+    });
+    post({ type: 'done', clipPath });
+  } catch (error) {
+    post({ type: 'error', message: error?.message || String(error), code: error?.code });
+  } finally {
+    parentPort.close();
+  }
+}
+
+runClipWorker();
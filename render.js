@@ -0,0 +1,1391 @@
+/**
+ * Ken Burns Studio frame rendering
+ *
+ * Draws a slide's frames with sharp and encodes them into a clip with FFmpeg. server.js uses these
+ * helpers directly; clip worker threads (render-worker.js) load only this module.
+ */
+
+const path = require("path");
+const fs = require("fs");
+const fsp = fs.promises;
+const { once } = require("events");
+const { PassThrough } = require("stream");
+const ffmpeg = require("fluent-ffmpeg");
+const sharp = require("sharp");
+
+// --- Config ---
+// Location of the FFmpeg binary used for every encoding step. fluent-ffmpeg keeps it per thread, so this
+// also covers the FFmpeg runs in server.js.
+const FFMPEG_PATH = "C:\\ffmpeg\\bin\\ffmpeg.exe";
+ffmpeg.setFfmpegPath(FFMPEG_PATH);
+
+// Slides without an `absolutePath` are read from the shared images folder.
+const IMAGES_DIR = path.join(__dirname, "images");
+// Source formats sharp cannot always read directly (see readSourceImage).
+const HEIF_IMAGE_EXTENSIONS = new Set(['.heic', '.heif']);
+const RAW_IMAGE_EXTENSIONS = new Set(['.dng', '.cr2', '.cr3', '.nef', '.arw', '.orf', '.rw2', '.raf', '.pef']);
+
+// Video characteristics shared by every rendered clip.
+// Defaults for output size and frame rate; each project can override them through `video` in its manifest.
+const FPS = 30;
+const VIEWPORT_WIDTH = 1280;
+const VIEWPORT_HEIGHT = 720;
+const DEFAULT_VIDEO_SETTINGS = {
+  width: VIEWPORT_WIDTH,
+  height: VIEWPORT_HEIGHT,
+  fps: FPS
+};
+const DEFAULT_DURATION = 6;
+const DEFAULT_ZOOM = 1.8;
+const BASE_DEFAULT_CONFIG = {
+  duration: DEFAULT_DURATION,
+  zoom: DEFAULT_ZOOM,
+  fadeDuration: 0.5,
+  motionStyle: "ping-pong",
+  easing: "ease-in-out",
+  easingCurve: [0.42, 0, 0.58, 1],
+  transition: "fade",
+  framing: "cover",
+  framingColor: "#000000",
+  lockZoom: false,
+  preset: "custom"
+};
+
+// How a slide whose aspect ratio differs from the output fills the frame (mirrored in app.jsx): `cover` crops
+// the image to fill it, the `contain-*` modes show the whole image over a blurred copy or a solid color.
+const FRAMING_MODES = ["cover", "contain-blur", "contain-color"];
+const DEFAULT_FRAMING = "cover";
+// Blur strength of the contain-blur fill as a fraction of the frame's shorter side, and the downscale
+// applied before blurring so large canvases stay cheap.
+const FRAMING_BLUR = 0.03;
+const FRAMING_BLUR_DOWNSCALE = 8;
+
+// Caption styling choices (mirrored in app.jsx). Size is a percentage of the frame height so captions
+// keep their proportions at any output size; positions anchor the text block inside a 5% safe margin.
+const CAPTION_FONTS = ["sans-serif", "serif", "monospace"];
+const CAPTION_POSITIONS = ["top-left", "top", "top-right", "center", "bottom-left", "bottom", "bottom-right"];
+const DEFAULT_CAPTION = {
+  text: "",
+  font: "sans-serif",
+  size: 6,
+  color: "#ffffff",
+  position: "bottom",
+  box: true,
+  boxColor: "#000000",
+  boxOpacity: 0.5,
+  fadeIn: 0.5,
+  fadeOut: 0.5
+};
+const CAPTION_MARGIN = 0.05;
+const CAPTION_LINE_HEIGHT = 1.25;
+const CAPTION_PADDING_EM = 0.35;
+
+// Title/end cards are generated slides: text over a solid, gradient or blurred-image background (mirrored in app.jsx).
+// Text sizes are fractions of the frame's shorter side so vertical videos keep titles on screen;
+// blur is a percentage of the strongest blur.
+const CARD_BACKGROUNDS = ["solid", "gradient", "image"];
+const DEFAULT_CARD = {
+  title: "",
+  subtitle: "",
+  font: "sans-serif",
+  textColor: "#ffffff",
+  background: "gradient",
+  color: "#111827",
+  color2: "#1f4e8c",
+  angle: 135,
+  backgroundImageId: null,
+  blur: 40,
+  dim: 0.4
+};
+const CARD_TITLE_SIZE = 0.09;
+const CARD_SUBTITLE_SIZE = 0.045;
+const CARD_MAX_BLUR_SIGMA = 0.05;
+
+// Render images at a higher resolution before scaling to smooth zooms.
+const RENDER_OVERSAMPLE = Math.max(1, Number(process.env.RENDER_OVERSAMPLE) || 2);
+
+// GPU codec preferences with CPU fallbacks for machines without NVENC.
+const NVENC_CODEC = process.env.NVENC_CODEC || "h264_nvenc";
+const CPU_FALLBACK_CODEC = "libx264";
+const USE_NVENC = process.env.USE_NVENC !== "false";
+// Set once an encode proves NVENC is missing so later encodes skip straight to the CPU codec.
+let nvencUnavailable = false;
+
+// Frames stream straight into FFmpeg as raw RGB by default; FRAME_PIPELINE=png writes
+// a PNG sequence to the job workspace first, which is handy for inspecting frames.
+const FRAME_PIPELINE = process.env.FRAME_PIPELINE === "png" ? "png" : "pipe";
+
+// --- Render Cancellation ---
+// Frame loops and FFmpeg processes stop with this error once their abort signal fires.
+function createRenderCancelledError() {
+  const error = new Error('Render cancelled.');
+  error.code = 'RENDER_CANCELLED';
+  return error;
+}
+
+function isRenderCancelledError(error) {
+  return error?.code === 'RENDER_CANCELLED';
+}
+
+function throwIfRenderCancelled(signal) {
+  if (signal?.aborted) {
+    throw createRenderCancelledError();
+  }
+}
+
+// Build codec-specific flags for FFmpeg runs.
+function getCodecOptions(codec) {
+  if (codec === NVENC_CODEC) {
+    return [
+      "-preset", process.env.NVENC_PRESET || "p5",
+      "-rc:v", process.env.NVENC_RATE_CONTROL || "vbr",
+      "-cq", process.env.NVENC_CQ || "19"
+    ];
+  }
+  return [
+    "-preset", process.env.X264_PRESET || "veryfast",
+    "-crf", process.env.X264_CRF || "18"
+  ];
+}
+
+function getPreferredCodec() {
+  return USE_NVENC && !nvencUnavailable ? NVENC_CODEC : CPU_FALLBACK_CODEC;
+}
+
+// Decide whether a failed encode should be retried with the CPU codec, remembering the outcome.
+function shouldFallBackToCpu(codec, error) {
+  if (codec !== NVENC_CODEC || !isCodecUnavailableError(error)) {
+    return false;
+  }
+  nvencUnavailable = true;
+  return true;
+}
+
+// Each thread keeps its own flag, so the worker pool passes it to new workers and collects it from finished ones.
+function isNvencUnavailable() {
+  return nvencUnavailable;
+}
+
+function markNvencUnavailable() {
+  nvencUnavailable = true;
+}
+
+// Detect whether FFmpeg failed because the requested encoder is missing.
+function isCodecUnavailableError(error) {
+
+  if (!error) {
+
+    return false;
+
+  }
+
+  const message = [error.message, error.stderr, error.stdout]
+
+    .filter(Boolean)
+
+    .join(' | ')
+
+    .toLowerCase();
+
+  if (!message) {
+
+    return false;
+
+  }
+
+  return message.includes('unknown encoder') ||
+
+    message.includes('no nvenc capable devices') ||
+
+    message.includes('cannot find nvenc') ||
+
+    message.includes('nvenc') && message.includes('not available');
+
+}
+
+
+// --- Helper Functions (copied from frontend) ---
+// Shared math helpers mirrored from the client.
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+// Sanitize duration values coming from the client payload.
+function getSafeDuration(value) {
+  const parsed = Number(value);
+  if (Number.isFinite(parsed) && parsed > 0) {
+    return parsed;
+  }
+  return DEFAULT_DURATION;
+}
+
+// Frames in a slide's clip. Both frame pipelines render and encode exactly this many, so a clip lasts a
+// whole number of frames (`duration` rounded up); computeTransitionLayout times the combined video with it.
+function getClipFrameCount(duration, fps) {
+  return Math.max(2, Math.ceil(getSafeDuration(duration) * fps));
+}
+
+// Sanitize zoom values coming from the client payload.
+function getSafeZoom(value) {
+  const parsed = Number(value);
+  if (Number.isFinite(parsed) && parsed > 0) {
+    return parsed;
+  }
+  return DEFAULT_ZOOM;
+}
+
+// --- Easing Functions ---
+// Numerical cubic-bezier solver so exports use the same easing as previews.
+function cubicBezier(p1x, p1y, p2x, p2y) {
+  const cx = 3 * p1x;
+  const bx = 3 * (p2x - p1x) - cx;
+  const ax = 1 - cx - bx;
+  const cy = 3 * p1y;
+  const by = 3 * (p2y - p1y) - cy;
+  const ay = 1 - cy - by;
+
+  function sampleCurveX(t) {
+    return ((ax * t + bx) * t + cx) * t;
+  }
+
+  function sampleCurveY(t) {
+    return ((ay * t + by) * t + cy) * t;
+  }
+
+  function sampleCurveDerivativeX(t) {
+    return (3 * ax * t + 2 * bx) * t + cx;
+  }
+
+  function solveCurveX(x, epsilon) {
+    let t0 = x;
+    for (let i = 0; i < 8; i++) {
+      const x2 = sampleCurveX(t0) - x;
+      if (Math.abs(x2) < epsilon) {
+        return t0;
+      }
+      const d2 = sampleCurveDerivativeX(t0);
+      if (Math.abs(d2) < 1e-6) {
+        break;
+      }
+      t0 = t0 - x2 / d2;
+    }
+    return t0;
+  }
+
+  return function(x) {
+    return sampleCurveY(solveCurveX(x, 1e-6));
+  };
+}
+
+const easeInOut = cubicBezier(0.42, 0, 0.58, 1);
+
+// Named easing curves (mirrored in app.jsx). `custom` uses the slide's own `easingCurve`.
+const EASING_CURVES = {
+  linear: (t) => t,
+  'ease-in': cubicBezier(0.42, 0, 1, 1),
+  'ease-out': cubicBezier(0, 0, 0.58, 1),
+  'ease-in-out': easeInOut
+};
+const CUSTOM_EASING = 'custom';
+const DEFAULT_EASING = 'ease-in-out';
+const DEFAULT_EASING_CURVE = [0.42, 0, 0.58, 1];
+
+function isKnownEasing(easing) {
+  return easing === CUSTOM_EASING || Boolean(EASING_CURVES[easing]);
+}
+
+// Clamp cubic-bezier control points: x must stay within 0-1 for the curve to be a function of time.
+function normalizeEasingCurve(curve) {
+  if (!Array.isArray(curve) || curve.length !== 4 || !curve.every((value) => Number.isFinite(Number(value)))) {
+    return [...DEFAULT_EASING_CURVE];
+  }
+  const [x1, y1, x2, y2] = curve.map(Number);
+  return [clamp(x1, 0, 1), clamp(y1, -1, 2), clamp(x2, 0, 1), clamp(y2, -1, 2)];
+}
+
+// Resolve an easing name (plus the slide's custom curve) to a 0-1 timing function.
+function getEasingFunction(easing, easingCurve) {
+  if (easing === CUSTOM_EASING) {
+    return cubicBezier(...normalizeEasingCurve(easingCurve));
+  }
+  return EASING_CURVES[easing] || EASING_CURVES[DEFAULT_EASING];
+}
+
+// Evaluate a keyframe path at a 0-1 slide progress. Keyframes are sorted by `time` (also 0-1)
+// and each keyframe's easing shapes the segment leading into it. Mirrored in app.jsx.
+function evaluateKeyframePath(keyframes, progress, easingCurve) {
+  const first = keyframes[0];
+  const last = keyframes[keyframes.length - 1];
+  if (progress <= first.time) {
+    return { focus: first.focus, zoom: first.zoom };
+  }
+  if (progress >= last.time) {
+    return { focus: last.focus, zoom: last.zoom };
+  }
+  let nextIndex = 1;
+  while (nextIndex < keyframes.length - 1 && keyframes[nextIndex].time < progress) {
+    nextIndex += 1;
+  }
+  const from = keyframes[nextIndex - 1];
+  const to = keyframes[nextIndex];
+  const span = to.time - from.time;
+  const local = span > 0 ? (progress - from.time) / span : 1;
+  const eased = getEasingFunction(to.easing, easingCurve)(clamp(local, 0, 1));
+  return {
+    focus: {
+      x: from.focus.x + (to.focus.x - from.focus.x) * eased,
+      y: from.focus.y + (to.focus.y - from.focus.y) * eased
+    },
+    zoom: from.zoom + (to.zoom - from.zoom) * eased
+  };
+}
+
+// A pan arrow is a two-keyframe path eased end to end with the slide's easing.
+function arrowToKeyframes(arrow, easing = DEFAULT_EASING) {
+  return [
+    { time: 0, focus: arrow.start, zoom: arrow.startZoom, easing },
+    { time: 1, focus: arrow.end, zoom: arrow.endZoom, easing }
+  ];
+}
+
+// Reproduce the frontend transform math so exports align with previews.
+function getKenBurnsTransform(targetPoint, metrics, scale) {
+  if (!targetPoint || !metrics || !metrics.stageWidth || !metrics.stageHeight) {
+    return {
+      transform: "scale(1)",
+      transformOrigin: "50% 50%",
+      translateX: 0,
+      translateY: 0,
+      originX: metrics ? metrics.stageWidth / 2 : 0,
+      originY: metrics ? metrics.stageHeight / 2 : 0
+    };
+  }
+
+  const targetXOnImage = (targetPoint.x / 100) * metrics.displayWidth;
+  const targetYOnImage = (targetPoint.y / 100) * metrics.displayHeight;
+  const originX = metrics.offsetX + targetXOnImage;
+  const originY = metrics.offsetY + targetYOnImage;
+  const transformOrigin = `${originX}px ${originY}px`;
+
+  if (scale === 1) {
+    return {
+      transform: "scale(1) translate(0px, 0px)",
+      transformOrigin,
+      translateX: 0,
+      translateY: 0,
+      originX,
+      originY
+    };
+  }
+
+  const viewportCenterX = metrics.stageWidth / 2;
+  const viewportCenterY = metrics.stageHeight / 2;
+  let translateX = viewportCenterX - originX;
+  let translateY = viewportCenterY - originY;
+
+  const scaledTopLeftX = originX + (metrics.offsetX - originX) * scale + translateX;
+  const scaledTopLeftY = originY + (metrics.offsetY - originY) * scale + translateY;
+  const scaledWidth = metrics.displayWidth * scale;
+  const scaledHeight = metrics.displayHeight * scale;
+  const scaledBottomRightX = scaledTopLeftX + scaledWidth;
+  const scaledBottomRightY = scaledTopLeftY + scaledHeight;
+
+  if (scaledTopLeftX > 0) translateX -= scaledTopLeftX;
+  if (scaledBottomRightX < metrics.stageWidth) translateX += metrics.stageWidth - scaledBottomRightX;
+  if (scaledTopLeftY > 0) translateY -= scaledTopLeftY;
+  if (scaledBottomRightY < metrics.stageHeight) translateY += metrics.stageHeight - scaledBottomRightY;
+
+  const transform = `translate(${translateX}px, ${translateY}px) scale(${scale})`;
+  return { transform, transformOrigin, translateX, translateY, originX, originY };
+}
+
+// Describe how the source image maps into the project's output dimensions: scaled to cover the frame,
+// or to fit inside it for the contain framing modes.
+function buildBaseMetrics(naturalWidth, naturalHeight, video = DEFAULT_VIDEO_SETTINGS, framing = DEFAULT_FRAMING) {
+  const stageWidth = video.width;
+  const stageHeight = video.height;
+  const fitScale = framing === 'cover' ? Math.max : Math.min;
+  const baseScale = fitScale(stageWidth / naturalWidth, stageHeight / naturalHeight);
+  const displayWidth = naturalWidth * baseScale;
+  const displayHeight = naturalHeight * baseScale;
+  const offsetX = (stageWidth - displayWidth) / 2;
+  const offsetY = (stageHeight - displayHeight) / 2;
+  return {
+    stageWidth,
+    stageHeight,
+    displayWidth,
+    displayHeight,
+    offsetX,
+    offsetY,
+    naturalWidth,
+    naturalHeight,
+    baseScale,
+  };
+}
+
+// The surface a slide's motion moves over (mirrored in app.jsx). A covering image is its own surface; a
+// contained image sits on a frame-shaped canvas (image plus fill) whose natural size is in source pixels.
+function getMotionSurface(metrics, framing) {
+  if (framing === 'cover') {
+    return metrics;
+  }
+  return {
+    ...metrics,
+    displayWidth: metrics.stageWidth,
+    displayHeight: metrics.stageHeight,
+    offsetX: 0,
+    offsetY: 0,
+    naturalWidth: metrics.stageWidth / metrics.baseScale,
+    naturalHeight: metrics.stageHeight / metrics.baseScale
+  };
+}
+
+// Convert a focus point from image percentages (as stored in the config) to motion-surface percentages.
+function toSurfacePoint(point, metrics, framing) {
+  if (!point || framing === 'cover') {
+    return point;
+  }
+  return {
+    x: ((metrics.offsetX + (point.x / 100) * metrics.displayWidth) / metrics.stageWidth) * 100,
+    y: ((metrics.offsetY + (point.y / 100) * metrics.displayHeight) / metrics.stageHeight) * 100
+  };
+}
+
+// Validate a pan arrow ({ start, end, startZoom, endZoom }); anything malformed means no arrow.
+function normalizeArrow(arrow, fallbackZoom = DEFAULT_ZOOM) {
+  const isPoint = (point) => point && Number.isFinite(point.x) && Number.isFinite(point.y);
+  if (!arrow || !isPoint(arrow.start) || !isPoint(arrow.end)) {
+    return null;
+  }
+  return {
+    start: normalizeTargetPoint(arrow.start),
+    end: normalizeTargetPoint(arrow.end),
+    startZoom: Math.max(1, getSafeZoom(arrow.startZoom ?? fallbackZoom)),
+    endZoom: Math.max(1, getSafeZoom(arrow.endZoom ?? fallbackZoom))
+  };
+}
+
+// Validate a keyframe list ({ time, focus, zoom, easing }[]) and sort it by time.
+// Fewer than two usable keyframes means the slide has no keyframe path.
+function normalizeKeyframes(keyframes, fallbackZoom = DEFAULT_ZOOM) {
+  if (!Array.isArray(keyframes)) {
+    return null;
+  }
+  const normalized = keyframes
+    .filter((keyframe) => keyframe && Number.isFinite(keyframe.time) && keyframe.focus
+      && Number.isFinite(keyframe.focus.x) && Number.isFinite(keyframe.focus.y))
+    .map((keyframe) => ({
+      time: clamp(keyframe.time, 0, 1),
+      focus: normalizeTargetPoint(keyframe.focus),
+      zoom: Math.max(1, getSafeZoom(keyframe.zoom ?? fallbackZoom)),
+      easing: isKnownEasing(keyframe.easing) ? keyframe.easing : DEFAULT_EASING
+    }))
+    .sort((a, b) => a.time - b.time);
+  return normalized.length >= 2 ? normalized : null;
+}
+
+// Default or clamp target points into the valid 0-100 range.
+function normalizeTargetPoint(targetPoint) {
+  if (!targetPoint || typeof targetPoint.x !== 'number' || typeof targetPoint.y !== 'number') {
+    return { x: 50, y: 50 };
+  }
+  return {
+    x: clamp(targetPoint.x, 0, 100),
+    y: clamp(targetPoint.y, 0, 100),
+  };
+}
+
+// Convert transform math into a crop rectangle within the oversampled source.
+function computeCropRect(transform, metrics, scale) {
+  const { translateX, translateY, originX, originY } = transform;
+  const stageWidth = metrics.stageWidth;
+  const stageHeight = metrics.stageHeight;
+  const baseScale = metrics.baseScale;
+
+  const preTransformX = (-translateX - (1 - scale) * originX) / scale;
+  const preTransformY = (-translateY - (1 - scale) * originY) / scale;
+
+  const cropWidthStageSpace = stageWidth / scale;
+  const cropHeightStageSpace = stageHeight / scale;
+
+  let cropLeft = (preTransformX - metrics.offsetX) / baseScale;
+  let cropTop = (preTransformY - metrics.offsetY) / baseScale;
+  let cropWidth = cropWidthStageSpace / baseScale;
+  let cropHeight = cropHeightStageSpace / baseScale;
+
+  const maxLeft = Math.max(0, metrics.naturalWidth - cropWidth);
+  const maxTop = Math.max(0, metrics.naturalHeight - cropHeight);
+  cropLeft = clamp(cropLeft, 0, maxLeft);
+  cropTop = clamp(cropTop, 0, maxTop);
+
+  return { left: cropLeft, top: cropTop, width: cropWidth, height: cropHeight };
+}
+
+
+// --- Captions ---
+// Validate a slide caption; a caption without text is no caption.
+function normalizeCaption(caption) {
+  if (!caption || typeof caption !== 'object') {
+    return null;
+  }
+  const text = String(caption.text || '').replace(/\r\n?/g, '\n').slice(0, 500);
+  if (!text.trim()) {
+    return null;
+  }
+  const toColor = (value, fallback) => (/^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : fallback);
+  const toNumber = (value, min, max, fallback) => {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? clamp(numeric, min, max) : fallback;
+  };
+  return {
+    text,
+    font: CAPTION_FONTS.includes(caption.font) ? caption.font : DEFAULT_CAPTION.font,
+    size: toNumber(caption.size, 1, 30, DEFAULT_CAPTION.size),
+    color: toColor(caption.color, DEFAULT_CAPTION.color),
+    position: CAPTION_POSITIONS.includes(caption.position) ? caption.position : DEFAULT_CAPTION.position,
+    box: caption.box === undefined ? DEFAULT_CAPTION.box : Boolean(caption.box),
+    boxColor: toColor(caption.boxColor, DEFAULT_CAPTION.boxColor),
+    boxOpacity: toNumber(caption.boxOpacity, 0, 1, DEFAULT_CAPTION.boxOpacity),
+    fadeIn: toNumber(caption.fadeIn, 0, 60, DEFAULT_CAPTION.fadeIn),
+    fadeOut: toNumber(caption.fadeOut, 0, 60, DEFAULT_CAPTION.fadeOut)
+  };
+}
+
+// Caption opacity `time` seconds into a slide of `duration` seconds (mirrored in app.jsx).
+function getCaptionOpacity(caption, time, duration) {
+  const fadeIn = caption.fadeIn > 0 ? time / caption.fadeIn : 1;
+  const fadeOut = caption.fadeOut > 0 ? (duration - time) / caption.fadeOut : 1;
+  return clamp(Math.min(fadeIn, fadeOut), 0, 1);
+}
+
+function escapeXml(value) {
+  return value.replace(/[<>&"']/g, (char) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[char]);
+}
+
+// Rasterise a caption to a full-frame RGBA overlay with sharp's SVG renderer. The text is drawn once on its own
+// to measure its width, then again over the background box sized to it. Returns the pixels plus the bounds that
+// contain anything visible so blending can skip the rest of the frame.
+async function buildCaptionOverlay(caption, video) {
+  const { width, height } = video;
+  const fontSize = (caption.size / 100) * height;
+  const lineHeight = fontSize * CAPTION_LINE_HEIGHT;
+  const padding = caption.box ? fontSize * CAPTION_PADDING_EM : 0;
+  const lines = caption.text.split('\n');
+  const blockHeight = lines.length * lineHeight;
+  const marginX = width * CAPTION_MARGIN;
+  const marginY = height * CAPTION_MARGIN;
+  const [vertical, horizontal = 'center'] = caption.position === 'center'
+    ? ['center', 'center']
+    : caption.position.split('-');
+
+  const anchor = horizontal === 'left' ? 'start' : horizontal === 'right' ? 'end' : 'middle';
+  const textX = horizontal === 'left' ? marginX + padding : horizontal === 'right' ? width - marginX - padding : width / 2;
+  const blockTop = vertical === 'top'
+    ? marginY + padding
+    : vertical === 'bottom'
+      ? height - marginY - padding - blockHeight
+      : (height - blockHeight) / 2;
+  // Baselines sit where CSS would put them: half-leading above each line, then roughly 0.8em of ascent.
+  const baselines = lines.map((_, index) => blockTop + index * lineHeight + (lineHeight - fontSize) / 2 + fontSize * 0.8);
+
+  const textSvg = lines
+    .map((line, index) => `<text x="${textX}" y="${baselines[index]}" text-anchor="${anchor}" xml:space="preserve">${escapeXml(line)}</text>`)
+    .join('');
+  const wrapSvg = (body) => Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<g font-family="${caption.font}" font-size="${fontSize}" fill="${caption.color}">${body}</g></svg>`
+  );
+  const rasterise = async (svg) => sharp(svg).ensureAlpha().raw().toBuffer();
+
+  let pixels = await rasterise(wrapSvg(textSvg));
+  let left = width;
+  let right = 0;
+  for (let y = Math.max(0, Math.floor(blockTop)); y < Math.min(height, Math.ceil(blockTop + blockHeight)); y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[(y * width + x) * 4 + 3] > 0) {
+        left = Math.min(left, x);
+        right = Math.max(right, x + 1);
+      }
+    }
+  }
+  if (right <= left) {
+    return null;
+  }
+
+  const bounds = {
+    left: Math.max(0, Math.floor(left - padding)),
+    right: Math.min(width, Math.ceil(right + padding)),
+    top: Math.max(0, Math.floor(blockTop - padding)),
+    bottom: Math.min(height, Math.ceil(blockTop + blockHeight + padding))
+  };
+  if (caption.box && caption.boxOpacity > 0) {
+    const rect = `<rect x="${bounds.left}" y="${bounds.top}" width="${bounds.right - bounds.left}" height="${bounds.bottom - bounds.top}" ` +
+      `rx="${fontSize * 0.15}" fill="${caption.boxColor}" fill-opacity="${caption.boxOpacity}"/>`;
+    pixels = await rasterise(wrapSvg(rect + textSvg));
+  }
+  return { pixels, width, bounds };
+}
+
+// Blend a caption overlay into a raw RGB24 frame in place at the given opacity.
+function blendCaptionOverlay(frameBuffer, overlay, opacity) {
+  const { pixels, width, bounds } = overlay;
+  for (let y = bounds.top; y < bounds.bottom; y++) {
+    for (let x = bounds.left; x < bounds.right; x++) {
+      const source = (y * width + x) * 4;
+      const alpha = (pixels[source + 3] / 255) * opacity;
+      if (alpha <= 0) {
+        continue;
+      }
+      const target = (y * width + x) * 3;
+      for (let channel = 0; channel < 3; channel++) {
+        const base = frameBuffer[target + channel];
+        frameBuffer[target + channel] = Math.round(base + (pixels[source + channel] - base) * alpha);
+      }
+    }
+  }
+}
+
+// --- Title Cards ---
+function isCardSlide(entry) {
+  return entry?.kind === 'card';
+}
+
+// Name shown for a slide in progress messages and logs.
+function getSlideLabel(entry) {
+  if (!isCardSlide(entry)) {
+    return entry.fileName;
+  }
+  const title = String(entry.card?.title || '').split('\n')[0].trim();
+  return title ? `Card: ${title}` : 'Card';
+}
+
+// Validate a card's text and background settings.
+function normalizeCard(card) {
+  const source = card && typeof card === 'object' ? card : {};
+  const toText = (value) => String(value || '').replace(/\r\n?/g, '\n').slice(0, 300);
+  const toColor = (value, fallback) => (/^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : fallback);
+  const toNumber = (value, min, max, fallback) => {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? clamp(numeric, min, max) : fallback;
+  };
+  return {
+    title: toText(source.title),
+    subtitle: toText(source.subtitle),
+    font: CAPTION_FONTS.includes(source.font) ? source.font : DEFAULT_CARD.font,
+    textColor: toColor(source.textColor, DEFAULT_CARD.textColor),
+    background: CARD_BACKGROUNDS.includes(source.background) ? source.background : DEFAULT_CARD.background,
+    color: toColor(source.color, DEFAULT_CARD.color),
+    color2: toColor(source.color2, DEFAULT_CARD.color2),
+    angle: toNumber(source.angle, 0, 360, DEFAULT_CARD.angle),
+    backgroundImageId: source.backgroundImageId ? String(source.backgroundImageId) : null,
+    blur: toNumber(source.blur, 0, 100, DEFAULT_CARD.blur),
+    dim: toNumber(source.dim, 0, 1, DEFAULT_CARD.dim)
+  };
+}
+
+// Draw a card at exactly the output size as a PNG. The result is treated like any other slide image,
+// so motion, duration, captions and transitions apply unchanged.
+async function renderCardImage(card, video, backgroundPath = null) {
+  const { width, height } = video;
+  const radians = (card.angle * Math.PI) / 180;
+  // CSS angle convention: 0deg points up, 90deg points right.
+  const dx = Math.sin(radians) / 2;
+  const dy = -Math.cos(radians) / 2;
+  const fill = card.background === 'gradient' ? 'url(#card-gradient)' : card.color;
+  const backgroundSvg = card.background === 'gradient'
+    ? `<defs><linearGradient id="card-gradient" x1="${0.5 - dx}" y1="${0.5 - dy}" x2="${0.5 + dx}" y2="${0.5 + dy}">` +
+      `<stop offset="0" stop-color="${card.color}"/><stop offset="1" stop-color="${card.color2}"/></linearGradient></defs>` +
+      `<rect width="${width}" height="${height}" fill="${fill}"/>`
+    : `<rect width="${width}" height="${height}" fill="${fill}"/>`;
+
+  const baseSize = Math.min(width, height);
+  const titleSize = CARD_TITLE_SIZE * baseSize;
+  const subtitleSize = CARD_SUBTITLE_SIZE * baseSize;
+  const titleLines = card.title.trim() ? card.title.split('\n') : [];
+  const subtitleLines = card.subtitle.trim() ? card.subtitle.split('\n') : [];
+  const titleLineHeight = titleSize * 1.2;
+  const subtitleLineHeight = subtitleSize * 1.3;
+  const gap = titleLines.length && subtitleLines.length ? subtitleSize : 0;
+  const blockHeight = titleLines.length * titleLineHeight + gap + subtitleLines.length * subtitleLineHeight;
+  let cursor = (height - blockHeight) / 2;
+  const textParts = [];
+  titleLines.forEach((line) => {
+    textParts.push(`<text x="${width / 2}" y="${cursor + (titleLineHeight - titleSize) / 2 + titleSize * 0.8}" font-size="${titleSize}" font-weight="bold" xml:space="preserve">${escapeXml(line)}</text>`);
+    cursor += titleLineHeight;
+  });
+  cursor += gap;
+  subtitleLines.forEach((line) => {
+    textParts.push(`<text x="${width / 2}" y="${cursor + (subtitleLineHeight - subtitleSize) / 2 + subtitleSize * 0.8}" font-size="${subtitleSize}" fill-opacity="0.85" xml:space="preserve">${escapeXml(line)}</text>`);
+    cursor += subtitleLineHeight;
+  });
+  const textSvg = `<g font-family="${card.font}" fill="${card.textColor}" text-anchor="middle">${textParts.join('')}</g>`;
+  const wrapSvg = (body) => Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${body}</svg>`);
+
+  if (card.background === 'image' && backgroundPath) {
+    const sigma = (card.blur / 100) * CARD_MAX_BLUR_SIGMA * baseSize;
+    let base = sharp(await readSourceImage(backgroundPath), { failOn: 'none' }).rotate().resize(width, height, { fit: 'cover' });
+    if (sigma >= 0.3) {
+      base = base.blur(sigma);
+    }
+    const dimSvg = `<rect width="${width}" height="${height}" fill="#000000" fill-opacity="${card.dim}"/>`;
+    return base
+      .composite([{ input: wrapSvg(dimSvg + textSvg), top: 0, left: 0 }])
+      .removeAlpha()
+      .png()
+      .toBuffer();
+  }
+  return sharp(wrapSvg(backgroundSvg + textSvg)).removeAlpha().png().toBuffer();
+}
+
+// --- Source Images ---
+// Decode a source image the way the browser shows it: EXIF orientation applied and CMYK or profiled
+// (e.g. Display P3) pixels converted to sRGB. Returns raw pixels with their sharp `info`.
+async function loadSourceImage(input) {
+  return sharp(input, { failOn: 'none' })
+    .rotate()
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+// Read a source file as something sharp can decode. RAW files give their largest embedded JPEG preview (the
+// best image sharp can read from them), and HEIC/HEIF goes through FFmpeg when this sharp build has no HEVC
+// decoder (the prebuilt binaries only decode AVIF).
+async function readSourceImage(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const buffer = await fsp.readFile(filePath);
+  if (RAW_IMAGE_EXTENSIONS.has(ext)) {
+    const preview = await extractRawPreview(buffer);
+    if (!preview) {
+      throw new Error(`No embedded preview found in ${path.basename(filePath)}`);
+    }
+    return preview;
+  }
+  if (HEIF_IMAGE_EXTENSIONS.has(ext)) {
+    try {
+      await sharp(buffer, { failOn: 'none' }).resize(16, 16, { fit: 'inside' }).raw().toBuffer();
+    } catch (err) {
+      return decodeImageWithFfmpeg(filePath);
+    }
+  }
+  return buffer;
+}
+
+// Find the largest JPEG embedded in a RAW file by trying every JPEG start marker; sharp stops at the
+// image's end marker, so the rest of the file can stay attached.
+const JPEG_START_MARKER = Buffer.from([0xff, 0xd8, 0xff]);
+
+async function extractRawPreview(buffer) {
+  let best = null;
+  let offset = buffer.indexOf(JPEG_START_MARKER);
+  while (offset !== -1) {
+    const candidate = buffer.subarray(offset);
+    const metadata = await sharp(candidate, { failOn: 'none' }).metadata().catch(() => null);
+    if (metadata?.format === 'jpeg' && metadata.width && metadata.height) {
+      const area = metadata.width * metadata.height;
+      if (!best || area > best.area) {
+        best = { area, candidate };
+      }
+    }
+    offset = buffer.indexOf(JPEG_START_MARKER, offset + JPEG_START_MARKER.length);
+  }
+  return best ? best.candidate : null;
+}
+
+function decodeImageWithFfmpeg(filePath) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const command = ffmpeg(filePath)
+      .frames(1)
+      .videoCodec("png")
+      .format("image2pipe")
+      .on("error", reject);
+    const stream = command.pipe();
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+// Wrap raw pixels from loadSourceImage (or a resize of them) back into a sharp pipeline.
+function sharpFromRaw(image) {
+  const { width, height, channels } = image.info;
+  return sharp(image.data, { raw: { width, height, channels } });
+}
+
+// Upright dimensions from sharp metadata; EXIF orientations 5-8 swap width and height.
+function getOrientedSize(metadata) {
+  return metadata.orientation >= 5
+    ? { width: metadata.height, height: metadata.width }
+    : { width: metadata.width, height: metadata.height };
+}
+
+// --- Framing ---
+// Place a contained image (raw pixels from loadSourceImage) centered on a canvas the size of its motion
+// surface, over a blurred, cover-fitted copy of itself or a solid color. Returns raw RGB pixels with their
+// sharp `info`.
+async function buildFramingCanvas(image, surface, framing, color) {
+  const { width: sourceWidth, height: sourceHeight, channels } = image.info;
+  const width = Math.max(sourceWidth, Math.round(surface.naturalWidth));
+  const height = Math.max(sourceHeight, Math.round(surface.naturalHeight));
+  let base;
+  if (framing === 'contain-blur') {
+    const smallWidth = Math.max(1, Math.round(width / FRAMING_BLUR_DOWNSCALE));
+    const smallHeight = Math.max(1, Math.round(height / FRAMING_BLUR_DOWNSCALE));
+    const sigma = Math.max(0.3, FRAMING_BLUR * Math.min(smallWidth, smallHeight));
+    const blurred = await sharpFromRaw(image)
+      .resize(smallWidth, smallHeight, { fit: 'cover' })
+      .blur(sigma)
+      .png()
+      .toBuffer();
+    base = sharp(blurred).resize(width, height, { fit: 'fill' });
+  } else {
+    const background = /^#[0-9a-f]{6}$/i.test(color || '') ? color : BASE_DEFAULT_CONFIG.framingColor;
+    base = sharp({ create: { width, height, channels: 3, background } });
+  }
+  return base
+    .composite([{
+      input: image.data,
+      raw: { width: sourceWidth, height: sourceHeight, channels },
+      left: Math.floor((width - sourceWidth) / 2),
+      top: Math.floor((height - sourceHeight) / 2)
+    }])
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+}
+
+// --- Frame Generation ---
+// Render per-frame crops for a single image at the requested motion path.
+async function generateFramesForImage(imageConfig, imageIndex, options = {}) {
+  console.log(` -> Preparing frames for image ${imageIndex}`);
+  const video = options.video || DEFAULT_VIDEO_SETTINGS;
+  let imageBuffer = null;
+  if (isCardSlide(imageConfig)) {
+    // Cards have no file; they are drawn at the output size and then animated like a photo.
+    imageBuffer = await renderCardImage(normalizeCard(imageConfig.card), video, imageConfig.cardBackgroundPath || null);
+  } else {
+    const fallbackPath = path.join(IMAGES_DIR, imageConfig.fileName);
+    const candidatePaths = [];
+
+    if (imageConfig.absolutePath) {
+      candidatePaths.push(imageConfig.absolutePath);
+    }
+    if (!candidatePaths.includes(fallbackPath)) {
+      candidatePaths.push(fallbackPath);
+    }
+
+    for (const candidate of candidatePaths) {
+      try {
+        imageBuffer = await readSourceImage(candidate);
+        break;
+      } catch (err) {
+        if (err?.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+    }
+  }
+
+  if (!imageBuffer) {
+    throw new Error(`Failed to read image file: ${imageConfig.fileName}`);
+  }
+
+  // Decode once, upright and in sRGB, so the target math uses the same dimensions as the viewer.
+  const source = await loadSourceImage(imageBuffer);
+  if (!source.info.width || !source.info.height) {
+    throw new Error(`Unable to read dimensions for ${getSlideLabel(imageConfig)}`);
+  }
+
+  const oversample = RENDER_OVERSAMPLE;
+  const workingWidth = Math.max(1, Math.round(source.info.width * oversample));
+  const workingHeight = Math.max(1, Math.round(source.info.height * oversample));
+
+  const working = oversample === 1
+    ? source
+    : await sharpFromRaw(source)
+        .resize(workingWidth, workingHeight, {
+          fit: 'fill',
+          kernel: sharp.kernel.lanczos3
+        })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+  // Motion runs over the framing surface, so crops always have the output's aspect ratio. Contained
+  // images are first placed on a frame-shaped canvas with their fill; focus points move with them.
+  const framing = FRAMING_MODES.includes(imageConfig?.config?.framing) ? imageConfig.config.framing : DEFAULT_FRAMING;
+  const imageMetrics = buildBaseMetrics(workingWidth, workingHeight, video, framing);
+  const metrics = getMotionSurface(imageMetrics, framing);
+  const toSurface = (point) => toSurfacePoint(point, imageMetrics, framing);
+  let workingSharp = sharpFromRaw(working);
+  let surfaceWidth = workingWidth;
+  let surfaceHeight = workingHeight;
+  if (framing !== 'cover') {
+    const canvas = await buildFramingCanvas(working, metrics, framing, imageConfig?.config?.framingColor);
+    surfaceWidth = canvas.info.width;
+    surfaceHeight = canvas.info.height;
+    workingSharp = sharpFromRaw(canvas);
+  }
+
+  const duration = getSafeDuration(imageConfig?.config?.duration);
+  const targetZoom = getSafeZoom(imageConfig?.config?.zoom);
+  const targetPoint = toSurface(normalizeTargetPoint(imageConfig?.config?.targetPoint));
+  const motionStyle = imageConfig?.config?.motionStyle || 'ping-pong';
+  // A keyframe path (or a pan arrow, its two-keyframe shorthand) replaces the motion style.
+  const keyframes = normalizeKeyframes(imageConfig?.config?.keyframes, targetZoom);
+  const arrow = normalizeArrow(imageConfig?.config?.arrow, targetZoom);
+  const easing = imageConfig?.config?.easing;
+  const easingCurve = imageConfig?.config?.easingCurve;
+  const ease = getEasingFunction(easing, easingCurve);
+  const imagePath = keyframes || (arrow ? arrowToKeyframes(arrow, easing) : null);
+  const motionPath = imagePath ? imagePath.map((keyframe) => ({ ...keyframe, focus: toSurface(keyframe.focus) })) : null;
+
+  const singleProgressRaw = typeof options.singleProgress === 'number'
+    ? clamp(options.singleProgress, 0, 1)
+    : null;
+  const customOutputPath = typeof options.outputPath === 'string' ? options.outputPath : null;
+  const onFrame = typeof options.onFrame === 'function' ? options.onFrame : null;
+  const onFrameBuffer = typeof options.onFrameBuffer === 'function' ? options.onFrameBuffer : null;
+  const signal = options.signal || null;
+  const framesDir = options.workspace?.framesDir || null;
+  if (!framesDir && !customOutputPath && !onFrameBuffer) {
+    throw new Error('A render workspace is required to generate frames.');
+  }
+
+  const totalFrames = getClipFrameCount(duration, video.fps);
+
+  // Captions are rasterised once per clip, then blended into each frame at that frame's fade opacity.
+  // Single-frame snapshots show the caption fully so its placement can be checked.
+  const caption = normalizeCaption(imageConfig?.config?.caption);
+  const captionOverlay = caption ? await buildCaptionOverlay(caption, video) : null;
+
+  const startZoom = motionStyle === 'zoom-out' ? targetZoom : 1;
+  const endZoom = motionStyle === 'zoom-out' ? 1 : targetZoom;
+  const startTransform = getKenBurnsTransform(targetPoint, metrics, startZoom);
+  const endTransform = getKenBurnsTransform(targetPoint, metrics, endZoom);
+  const startRect = computeCropRect(startTransform, metrics, startZoom);
+  const endRect = computeCropRect(endTransform, metrics, endZoom);
+
+  const interpolateRect = (a, b, t) => ({
+    left: a.left + (b.left - a.left) * t,
+    top: a.top + (b.top - a.top) * t,
+    width: a.width + (b.width - a.width) * t,
+    height: a.height + (b.height - a.height) * t,
+  });
+
+  const frameJobs = [];
+  if (singleProgressRaw !== null) {
+    frameJobs.push({
+      normalized: singleProgressRaw,
+      outputPath: customOutputPath || (framesDir ? path.join(framesDir, `img-${imageIndex}-frame-single.png`) : null),
+    });
+  } else {
+    for (let frame = 0; frame < totalFrames; frame++) {
+      const normalized = totalFrames > 1 ? frame / (totalFrames - 1) : 0;
+      frameJobs.push({
+        normalized,
+        outputPath: onFrameBuffer
+          ? null
+          : path.join(
+              framesDir,
+              `img-${imageIndex}-frame-${String(frame).padStart(4, '0')}.png`
+            ),
+      });
+    }
+  }
+
+  console.log(` -> Generating ${frameJobs.length} frame${frameJobs.length === 1 ? '' : 's'} via sharp...`);
+
+  const renderedPaths = [];
+  let renderedCount = 0;
+
+  for (const { normalized, outputPath } of frameJobs) {
+    throwIfRenderCancelled(signal);
+    let cropRect;
+
+    if (motionPath) {
+      // Same evaluation as the MainViewer preview loop, so exports match previews.
+      const { focus, zoom } = evaluateKeyframePath(motionPath, normalized, easingCurve);
+      cropRect = computeCropRect(getKenBurnsTransform(focus, metrics, zoom), metrics, zoom);
+    } else {
+      let easedProgress;
+      let rectStart = startRect;
+      let rectEnd = endRect;
+
+      if (motionStyle === 'ping-pong') {
+        const forward = normalized <= 0.5;
+        const segmentProgress = forward ? normalized / 0.5 : (1 - normalized) / 0.5;
+        easedProgress = ease(segmentProgress);
+        if (!forward) {
+          rectStart = endRect;
+          rectEnd = startRect;
+        }
+      } else {
+        easedProgress = ease(normalized);
+      }
+      cropRect = interpolateRect(rectStart, rectEnd, easedProgress);
+    }
+
+    let left = Math.floor(cropRect.left);
+    let top = Math.floor(cropRect.top);
+    let right = Math.ceil(cropRect.left + cropRect.width);
+    let bottom = Math.ceil(cropRect.top + cropRect.height);
+
+    left = clamp(left, 0, Math.max(0, surfaceWidth - 1));
+    top = clamp(top, 0, Math.max(0, surfaceHeight - 1));
+    right = clamp(right, left + 1, surfaceWidth);
+    bottom = clamp(bottom, top + 1, surfaceHeight);
+
+    const width = Math.max(1, right - left);
+    const height = Math.max(1, bottom - top);
+
+    const framePipeline = workingSharp
+      .clone()
+      .extract({ left, top, width, height })
+      .resize(video.width, video.height, {
+        fit: 'fill',
+        kernel: sharp.kernel.lanczos3
+      });
+
+    const captionOpacity = captionOverlay
+      ? (singleProgressRaw !== null ? 1 : getCaptionOpacity(caption, normalized * duration, duration))
+      : 0;
+
+    if (onFrameBuffer || captionOpacity > 0) {
+      // Raw RGB24, matching the rawvideo input declared in createClipFromFrameStream.
+      const frameBuffer = await framePipeline
+        .toColourspace('srgb')
+        .removeAlpha()
+        .raw()
+        .toBuffer();
+      if (captionOpacity > 0) {
+        blendCaptionOverlay(frameBuffer, captionOverlay, captionOpacity);
+      }
+      if (onFrameBuffer) {
+        await onFrameBuffer(frameBuffer);
+      } else {
+        await sharp(frameBuffer, { raw: { width: video.width, height: video.height, channels: 3 } }).toFile(outputPath);
+        renderedPaths.push(outputPath);
+      }
+    } else {
+      await framePipeline.toFile(outputPath);
+      renderedPaths.push(outputPath);
+    }
+    renderedCount += 1;
+    if (onFrame) {
+      onFrame(renderedCount, frameJobs.length);
+    }
+  }
+
+  console.log(` -> Frame generation complete for image ${imageIndex}`);
+  return renderedPaths;
+}
+
+// Delete the PNG frames a clip left in the workspace.
+async function cleanupFramesForIndex(workspace, imageIndex) {
+  const prefix = `img-${imageIndex}-frame-`;
+  try {
+    const entries = await fsp.readdir(workspace.framesDir);
+    const targets = entries.filter((name) => name.startsWith(prefix));
+    if (!targets.length) {
+      return;
+    }
+    await Promise.all(
+      targets.map((name) =>
+        fsp.unlink(path.join(workspace.framesDir, name)).catch((err) => {
+          if (err?.code !== 'ENOENT') {
+            console.warn(`Failed to remove frame ${name}:`, err.message);
+          }
+        })
+      )
+    );
+  } catch (err) {
+    if (err?.code !== 'ENOENT') {
+      console.warn(`Failed to list frames for index ${imageIndex}:`, err.message);
+    }
+  }
+}
+
+// --- Video Clip Generation ---
+// Render one slide into an MP4 inside the job workspace using the configured frame pipeline.
+async function renderClip(workspace, imageConfig, imageIndex, options = {}) {
+  if (FRAME_PIPELINE !== 'png') {
+    return createClipFromFrameStream(workspace, imageConfig, imageIndex, options);
+  }
+
+  await cleanupFramesForIndex(workspace, imageIndex);
+  try {
+    await generateFramesForImage(imageConfig, imageIndex, {
+      workspace,
+      video: options.video,
+      signal: options.signal,
+      onFrame: options.onFrame
+    });
+    if (options.onEncodeStart) {
+      options.onEncodeStart();
+    }
+    return await createClipFromFrames(workspace, imageIndex, imageConfig?.config?.duration, {
+      video: options.video,
+      signal: options.signal,
+      onProgress: options.onEncodeProgress
+    });
+  } finally {
+    await cleanupFramesForIndex(workspace, imageIndex);
+  }
+}
+
+// Write a frame into FFmpeg's input, waiting for the stream to drain when its buffer is full.
+// Racing against the encode keeps a crashed FFmpeg from leaving the writer blocked forever, and the
+// stream is destroyed once the encode settles, so the frame loop stops instead of buffering frames
+// FFmpeg will never read.
+async function writeFrameToStream(stream, frameBuffer, encoding) {
+  if (stream.destroyed) {
+    await encoding;
+    throw new Error('FFmpeg stopped reading frames before the clip was complete.');
+  }
+  if (stream.write(frameBuffer)) {
+    return;
+  }
+  await Promise.race([once(stream, 'drain'), encoding]);
+}
+
+// Pipe raw frames from sharp straight into FFmpeg's stdin so no intermediate files are written.
+function createClipFromFrameStream(workspace, imageConfig, imageIndex, options = {}) {
+  const safeDuration = getSafeDuration(imageConfig?.config?.duration);
+  const signal = options.signal || null;
+  const video = options.video || DEFAULT_VIDEO_SETTINGS;
+  const expectedFrames = getClipFrameCount(safeDuration, video.fps);
+  const onProgress = typeof options.onEncodeProgress === 'function' ? options.onEncodeProgress : null;
+  const outputPath = path.join(workspace.clipsDir, `clip-${imageIndex}.mp4`);
+
+  async function encodeWithCodec(codec) {
+    console.log(` -> Streaming frames for image ${imageIndex} (${safeDuration}s) into ${codec}`);
+    const frameStream = new PassThrough();
+    let encodeFraction = 0;
+    const command = ffmpeg()
+      .input(frameStream)
+      .inputFormat("rawvideo")
+      .inputOptions([
+        "-pix_fmt rgb24",
+        `-video_size ${video.width}x${video.height}`,
+        `-framerate ${video.fps}`
+      ])
+      .videoCodec(codec)
+      .outputOptions([
+        "-pix_fmt", "yuv420p",
+        "-r", String(video.fps),
+        "-frames:v", String(expectedFrames),
+        ...getCodecOptions(codec)
+      ])
+      .output(outputPath)
+      .on("progress", (progress) => {
+        if (onProgress && Number.isFinite(progress?.frames)) {
+          encodeFraction = clamp(progress.frames / expectedFrames, 0, 1);
+          onProgress(encodeFraction);
+        }
+      });
+
+    const encoding = runCancellableCommand(command, signal);
+    // Failures surface through the awaits below; this only prevents an unhandled rejection meanwhile.
+    // FFmpeg reads no more input once it exits, so the frames still buffered for it are dropped.
+    encoding.catch(() => {}).then(() => frameStream.destroy());
+
+    try {
+      await generateFramesForImage(imageConfig, imageIndex, {
+        video,
+        signal,
+        onFrame: options.onFrame,
+        onFrameBuffer: (frameBuffer) => writeFrameToStream(frameStream, frameBuffer, encoding)
+      });
+    } catch (error) {
+      // Stop FFmpeg whether or not it has spawned yet; when FFmpeg itself failed, `error` is already its error.
+      frameStream.destroy();
+      killCommand(command);
+      await encoding.catch(() => {});
+      throw error;
+    }
+
+    frameStream.end();
+    if (options.onEncodeStart) {
+      options.onEncodeStart();
+    }
+    // FFmpeg encodes while frames stream in, so the encode phase starts part-way through.
+    if (onProgress && encodeFraction > 0) {
+      onProgress(encodeFraction);
+    }
+    await encoding;
+    console.log(` -> Finished encoding clip ${imageIndex} using ${codec}`);
+    return outputPath;
+  }
+
+  const preferredCodec = getPreferredCodec();
+  return encodeWithCodec(preferredCodec).catch(async (err) => {
+    await fsp.rm(outputPath, { force: true });
+    if (isRenderCancelledError(err)) {
+      throw err;
+    }
+    if (shouldFallBackToCpu(preferredCodec, err)) {
+      console.warn(" -> NVENC unavailable, re-rendering the clip with libx264");
+      return encodeWithCodec(CPU_FALLBACK_CODEC);
+    }
+    console.error(` -> Error encoding clip ${imageIndex}:`, err);
+    throw err;
+  });
+}
+
+// Kill a fluent-ffmpeg command's process, waiting for it to spawn if it has not started yet.
+function killCommand(command) {
+  if (command.ffmpegProc) {
+    command.kill('SIGKILL');
+  } else {
+    command.once('start', () => command.kill('SIGKILL'));
+  }
+}
+
+// Run a prepared fluent-ffmpeg command, killing the FFmpeg process if the signal aborts.
+function runCancellableCommand(command, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createRenderCancelledError());
+      return;
+    }
+    const handleAbort = () => killCommand(command);
+    signal?.addEventListener('abort', handleAbort, { once: true });
+    command
+      .on("end", () => {
+        signal?.removeEventListener('abort', handleAbort);
+        resolve();
+      })
+      .on("error", (err) => {
+        signal?.removeEventListener('abort', handleAbort);
+        reject(signal?.aborted ? createRenderCancelledError() : err);
+      })
+      .run();
+  });
+}
+
+// Feed the generated PNG frames into FFmpeg to create an individual clip.
+function createClipFromFrames(workspace, imageIndex, duration, options = {}) {
+  const safeDuration = getSafeDuration(duration);
+  const video = options.video || DEFAULT_VIDEO_SETTINGS;
+  const expectedFrames = getClipFrameCount(safeDuration, video.fps);
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+  const signal = options.signal || null;
+  const inputPattern = path.join(workspace.framesDir, `img-${imageIndex}-frame-%04d.png`);
+  const outputPath = path.join(workspace.clipsDir, `clip-${imageIndex}.mp4`);
+
+  async function encodeWithCodec(codec) {
+    console.log(` -> Encoding clip for image ${imageIndex} (${safeDuration}s) using ${codec}`);
+    const command = ffmpeg()
+      .input(inputPattern)
+      .inputOptions([`-framerate ${video.fps}`])
+      .videoCodec(codec)
+      .outputOptions([
+        "-pix_fmt", "yuv420p",
+        "-r", String(video.fps),
+        "-frames:v", String(expectedFrames),
+        ...getCodecOptions(codec)
+      ])
+      .output(outputPath)
+      .on("progress", (progress) => {
+        if (onProgress && Number.isFinite(progress?.frames)) {
+          onProgress(clamp(progress.frames / expectedFrames, 0, 1));
+        }
+      });
+    await runCancellableCommand(command, signal);
+    console.log(` -> Finished encoding clip ${imageIndex} using ${codec}`);
+    return outputPath;
+  }
+
+  const preferredCodec = getPreferredCodec();
+  return encodeWithCodec(preferredCodec).catch(async (err) => {
+    if (isRenderCancelledError(err)) {
+      await fsp.rm(outputPath, { force: true });
+      throw err;
+    }
+    if (shouldFallBackToCpu(preferredCodec, err)) {
+      console.warn(" -> NVENC unavailable, falling back to libx264");
+      return encodeWithCodec(CPU_FALLBACK_CODEC);
+    }
+    console.error(` -> Error encoding clip ${imageIndex}:`, err);
+    throw err;
+  });
+}
+
+// --- Transition Layout ---
+// Lay out a plan the way the xfade chain plays it. Clips last getClipFrameCount frames and fades are rounded
+// to whole frames, so offsets land exactly where each clip ends, and each fade is capped to leave a frame of
+// its shorter neighbor. Times are returned in seconds.
+function computeTransitionLayout(plan, video = DEFAULT_VIDEO_SETTINGS) {
+  const toSeconds = (frames) => frames / video.fps;
+  const clipFrames = plan.map((entry) => getClipFrameCount(entry?.config?.duration, video.fps));
+  const fadeFrames = [];
+  const offsetFrames = [];
+  let outputFrames = clipFrames.length > 0 ? clipFrames[0] : 0;
+
+  for (let i = 0; i < clipFrames.length - 1; i++) {
+    const fade = clamp(
+      Math.round(getRequestedFade(plan[i]?.config?.fadeDuration) * video.fps),
+      0,
+      Math.min(clipFrames[i], clipFrames[i + 1]) - 1
+    );
+    fadeFrames.push(fade);
+    offsetFrames.push(outputFrames - fade);
+    outputFrames += clipFrames[i + 1] - fade;
+  }
+
+  return {
+    durations: clipFrames.map(toSeconds),
+    fades: fadeFrames.map(toSeconds),
+    offsets: offsetFrames.map(toSeconds),
+    totalDuration: toSeconds(outputFrames)
+  };
+}
+
+function getRequestedFade(value) {
+  const numeric = Number(value);
+  return Number.isFinite(numeric) && numeric >= 0 ? numeric : 0.5;
+}
+
+module.exports = {
+  IMAGES_DIR,
+  HEIF_IMAGE_EXTENSIONS,
+  RAW_IMAGE_EXTENSIONS,
+  DEFAULT_VIDEO_SETTINGS,
+  BASE_DEFAULT_CONFIG,
+  FRAMING_MODES,
+  DEFAULT_FRAMING,
+  DEFAULT_EASING,
+  RENDER_OVERSAMPLE,
+  CPU_FALLBACK_CODEC,
+  createRenderCancelledError,
+  isRenderCancelledError,
+  throwIfRenderCancelled,
+  getCodecOptions,
+  getPreferredCodec,
+  shouldFallBackToCpu,
+  isNvencUnavailable,
+  markNvencUnavailable,
+  clamp,
+  getSafeDuration,
+  getClipFrameCount,
+  getSafeZoom,
+  isKnownEasing,
+  normalizeEasingCurve,
+  buildBaseMetrics,
+  getMotionSurface,
+  normalizeArrow,
+  normalizeKeyframes,
+  normalizeCaption,
+  isCardSlide,
+  getSlideLabel,
+  normalizeCard,
+  renderCardImage,
+  readSourceImage,
+  getOrientedSize,
+  generateFramesForImage,
+  renderClip,
+  killCommand,
+  runCancellableCommand,
+  computeTransitionLayout,
+  getRequestedFade
+};
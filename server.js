@@ -10,8 +10,54 @@ const http = require("http");
 const path = require("path");
 const fs = require("fs");
 const fsp = fs.promises;
+const os = require("os");
+const crypto = require("crypto");
+const { Worker } = require("worker_threads");
 const ffmpeg = require("fluent-ffmpeg");
 const sharp = require("sharp");
+const multer = require("multer");
+const tar = require("tar");
+const {
+  IMAGES_DIR,
+  HEIF_IMAGE_EXTENSIONS,
+  RAW_IMAGE_EXTENSIONS,
+  DEFAULT_VIDEO_SETTINGS,
+  BASE_DEFAULT_CONFIG,
+  FRAMING_MODES,
+  DEFAULT_FRAMING,
+  DEFAULT_EASING,
+  RENDER_OVERSAMPLE,
+  CPU_FALLBACK_CODEC,
+  createRenderCancelledError,
+  isRenderCancelledError,
+  throwIfRenderCancelled,
+  getCodecOptions,
+  getPreferredCodec,
+  shouldFallBackToCpu,
+  isNvencUnavailable,
+  markNvencUnavailable,
+  clamp,
+  getSafeDuration,
+  getSafeZoom,
+  isKnownEasing,
+  normalizeEasingCurve,
+  buildBaseMetrics,
+  getMotionSurface,
+  normalizeArrow,
+  normalizeKeyframes,
+  normalizeCaption,
+  isCardSlide,
+  getSlideLabel,
+  normalizeCard,
+  renderCardImage,
+  readSourceImage,
+  getOrientedSize,
+  generateFramesForImage,
+  killCommand,
+  runCancellableCommand,
+  computeTransitionLayout,
+  getRequestedFade
+} = require("./render");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,17 +66,24 @@ const LOOPBACK_HOST = "127.0.0.1";
 
 const ROOT_DIR = __dirname;
 const PUBLIC_DIR = path.join(ROOT_DIR, "public");
-const IMAGES_DIR = path.join(ROOT_DIR, "images");
 const EXPORTS_DIR = path.join(PUBLIC_DIR, "exports");
 const OUTPUT_DIR = path.join(ROOT_DIR, "output");
 const SETTINGS_PATH = path.join(OUTPUT_DIR, "settings.json");
 
-const SUPPORTED_IMAGE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.gif', '.webp']);
-// --- Config ---
-// Location of the FFmpeg binary used for every encoding step.
-const FFMPEG_PATH = "C:\\ffmpeg\\bin\\ffmpeg.exe";
-ffmpeg.setFfmpegPath(FFMPEG_PATH);
-
+// Source image formats. Browsers show the first group directly; the others are served as cached JPEG
+// proxies (HEIC/HEIF, AVIF, TIFF, and camera RAW files through their embedded JPEG preview).
+const BROWSER_IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+const PROXY_IMAGE_EXTENSIONS = new Set([...HEIF_IMAGE_EXTENSIONS, '.avif', '.tif', '.tiff', ...RAW_IMAGE_EXTENSIONS]);
+const SUPPORTED_IMAGE_EXTENSIONS = new Set([...BROWSER_IMAGE_EXTENSIONS, ...PROXY_IMAGE_EXTENSIONS]);
+// Browser uploads: per-file size cap (RAW files run to ~100 MB) and files per request.
+const MAX_UPLOAD_BYTES = 200 * 1024 * 1024;
+const MAX_UPLOAD_FILES = 50;
+// Project bundles are gzipped tarballs and can carry every clip and the final video.
+const MAX_BUNDLE_BYTES = 8 * 1024 ** 3;
+const BUNDLE_EXTENSION = '.kbproject.tgz';
+const BUNDLE_FOLDERS = new Set(['images', 'audio', 'clips']);
+// Soundtrack files are dropped into the images folder alongside the slides.
+const SUPPORTED_AUDIO_EXTENSIONS = new Set(['.mp3', '.wav', '.m4a']);
 // --- Helpers ---
 function fileExistsSync(targetPath) {
   try {
@@ -81,28 +134,36 @@ async function findFirstExisting(paths) {
   return null;
 }
 
-async function cleanupFramesForIndex(imageIndex) {
-  const prefix = `img-${imageIndex}-frame-`;
-  try {
-    const entries = await fsp.readdir(FRAMES_DIR);
-    const targets = entries.filter((name) => name.startsWith(prefix));
-    if (!targets.length) {
-      return;
-    }
-    await Promise.all(
-      targets.map((name) =>
-        fsp.unlink(path.join(FRAMES_DIR, name)).catch((err) => {
-          if (err?.code !== 'ENOENT') {
-            console.warn(`Failed to remove frame ${name}:`, err.message);
-          }
-        })
-      )
-    );
-  } catch (err) {
-    if (err?.code !== 'ENOENT') {
-      console.warn(`Failed to list frames for index ${imageIndex}:`, err.message);
-    }
+// Give each render its own scratch directory under temp/ so concurrent renders never share frames or clips.
+async function createRenderWorkspace(name) {
+  const rootDir = path.join(TEMP_DIR, name);
+  const workspace = {
+    rootDir,
+    framesDir: path.join(rootDir, 'frames'),
+    clipsDir: path.join(rootDir, 'clips')
+  };
+  await ensureDirectory(workspace.framesDir);
+  await ensureDirectory(workspace.clipsDir);
+  return workspace;
+}
+
+async function removeRenderWorkspace(workspace) {
+  await fsp.rm(workspace.rootDir, { recursive: true, force: true }).catch((err) => {
+    console.warn(`Failed to remove workspace ${workspace.rootDir}:`, err.message);
+  });
+}
+
+// No render survives a restart, so every directory left in temp/ at startup is stale.
+async function cleanupStaleWorkspaces() {
+  if (!(await pathExists(TEMP_DIR))) {
+    return;
   }
+  const entries = await fsp.readdir(TEMP_DIR, { withFileTypes: true });
+  await Promise.all(
+    entries
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => removeRenderWorkspace({ rootDir: path.join(TEMP_DIR, entry.name) }))
+  );
 }
 
 function parseRenderRange(rangeText, total) {
@@ -144,6 +205,18 @@ function parseRenderRange(rangeText, total) {
 }
 
 async function prepareProjectImage(entry, slug, projectDir) {
+  if (isCardSlide(entry)) {
+    // Cards are generated at render time, so there is no file to move into the project.
+    return {
+      ...entry,
+      fileName: null,
+      imagePath: null,
+      absolutePath: null,
+      imageUrl: null,
+      size: 0,
+      card: normalizeCard(entry.card)
+    };
+  }
   const projectImagesDir = path.join(projectDir, 'images');
   await ensureDirectory(projectImagesDir);
 
@@ -207,7 +280,52 @@ async function resolveImageAbsolutePath(entry, slug) {
   throw new Error(`Source image not found for ${entry.fileName}`);
 }
 
+// Locate a soundtrack file: in the project once it has been exported, otherwise still in the images folder.
+async function resolveAudioTrackPath(track, slug) {
+  const candidates = [
+    slug ? path.join(OUTPUT_DIR, slug, ...track.audioPath.split('/')) : null,
+    path.join(IMAGES_DIR, track.fileName)
+  ];
+  const found = await findFirstExisting(candidates);
+  if (!found) {
+    throw new Error(`Audio track not found for ${track.fileName}`);
+  }
+  return found;
+}
+
+// Move soundtrack files into `<project>/audio/` (like slide images) and return their absolute paths.
+async function prepareProjectAudio(audio, projectDir) {
+  const trackPaths = [];
+  for (const track of audio.tracks) {
+    const absolutePath = path.join(projectDir, ...track.audioPath.split('/'));
+    if (!(await pathExists(absolutePath))) {
+      const sourcePath = path.join(IMAGES_DIR, track.fileName);
+      if (!(await pathExists(sourcePath))) {
+        throw new Error(`Audio track not found for ${track.fileName}`);
+      }
+      await ensureDirectory(path.dirname(absolutePath));
+      await fsp.rename(sourcePath, absolutePath);
+    }
+    trackPaths.push(absolutePath);
+  }
+  return trackPaths;
+}
+
 function toManifestImageRecord(entry) {
+  if (isCardSlide(entry)) {
+    return {
+      id: entry.id,
+      kind: 'card',
+      card: normalizeCard(entry.card),
+      fileName: null,
+      imagePath: null,
+      imageUrl: null,
+      size: 0,
+      config: entry.config,
+      clipKey: entry.clipKey || null,
+      clipFile: entry.clipFile ? toPosixPath(entry.clipFile) : null
+    };
+  }
   const relativePath = entry.imagePath ? toPosixPath(entry.imagePath) : path.posix.join('images', entry.fileName);
   return {
     id: entry.id,
@@ -216,6 +334,7 @@ function toManifestImageRecord(entry) {
     imageUrl: entry.imageUrl || null,
     size: entry.size,
     config: entry.config,
+    clipKey: entry.clipKey || null,
     clipFile: entry.clipFile ? toPosixPath(entry.clipFile) : null
   };
 }
@@ -227,6 +346,13 @@ function hydrateManifest(manifest, slug) {
   const safeSlug = manifest.slug || slug;
   const images = Array.isArray(manifest.images)
     ? manifest.images.map((image) => {
+        if (isCardSlide(image)) {
+          return {
+            ...image,
+            card: normalizeCard(image.card),
+            clipFile: image.clipFile ? toPosixPath(image.clipFile) : null
+          };
+        }
         const relativePath = image.imagePath ? toPosixPath(image.imagePath) : path.posix.join('images', image.fileName);
         const clipFile = image.clipFile ? toPosixPath(image.clipFile) : null;
         return {
@@ -243,9 +369,19 @@ function hydrateManifest(manifest, slug) {
         path: manifest.finalVideo?.path ? toPosixPath(manifest.finalVideo.path) : manifest.finalVideo.path
       }
     : null;
+  const audio = resolveAudioSettings(manifest.audio);
   return {
     ...manifest,
     slug: safeSlug,
+    video: resolveVideoSettings(manifest.video),
+    subtitles: resolveSubtitleSettings(manifest.subtitles),
+    audio: {
+      ...audio,
+      tracks: audio.tracks.map((track) => ({
+        ...track,
+        url: safeSlug ? buildProjectAssetUrl(safeSlug, track.audioPath) : null
+      }))
+    },
     images,
     finalVideo
   };
@@ -255,9 +391,11 @@ function sanitizeProjectName(rawName) {
   if (!trimmed) {
     return "";
   }
+  // Leading dots are dropped so a name can never resolve to `.` or `..` under output/.
   return trimmed
     .replace(/[\\/:*?"<>|]/g, "_")
     .replace(/\s+/g, "-")
+    .replace(/^\.+/, "")
     .toLowerCase();
 }
 
@@ -298,18 +436,81 @@ async function saveSettings(settings) {
 }
 
 function resolveConfigWithDefaults(config, defaultConfig) {
+  const fallbackZoom = getSafeZoom(config?.zoom ?? defaultConfig.zoom);
+  const arrow = normalizeArrow(config?.arrow, fallbackZoom);
+  const keyframes = normalizeKeyframes(config?.keyframes, fallbackZoom);
   return {
     duration: getSafeDuration(config?.duration ?? defaultConfig.duration),
     zoom: getSafeZoom(config?.zoom ?? defaultConfig.zoom),
     fadeDuration: Number.isFinite(config?.fadeDuration) ? Math.max(0, config.fadeDuration) : defaultConfig.fadeDuration,
     motionStyle: config?.motionStyle || defaultConfig.motionStyle || "ping-pong",
+    easing: [config?.easing, defaultConfig.easing].find(isKnownEasing) || DEFAULT_EASING,
+    easingCurve: normalizeEasingCurve(config?.easingCurve ?? defaultConfig.easingCurve),
+    transition: [config?.transition, defaultConfig.transition].find(isKnownTransition) || DEFAULT_TRANSITION,
+    framing: [config?.framing, defaultConfig.framing].find((framing) => FRAMING_MODES.includes(framing)) || DEFAULT_FRAMING,
+    framingColor: [config?.framingColor, defaultConfig.framingColor].find((color) => /^#[0-9a-f]{6}$/i.test(color || '')) || BASE_DEFAULT_CONFIG.framingColor,
     lockZoom: Boolean(config?.lockZoom ?? defaultConfig.lockZoom),
-    targetPoint: config?.targetPoint || null,
-    arrow: config?.arrow || null,
+    targetPoint: config?.targetPoint || keyframes?.[0].focus || arrow?.start || null,
+    arrow,
+    keyframes,
+    caption: normalizeCaption(config?.caption),
+    description: String(config?.description || '').replace(/\r\n?/g, '\n').trim().slice(0, MAX_SUBTITLE_LENGTH),
     preset: config?.preset || defaultConfig.preset || "custom"
   };
 }
 
+// Normalize a project's output size and frame rate. Dimensions are kept even because yuv420p requires it.
+function resolveVideoSettings(video) {
+  const toDimension = (value, fallback) => {
+    const numeric = Math.round(Number(value));
+    if (!Number.isFinite(numeric) || numeric <= 0) {
+      return fallback;
+    }
+    const clamped = clamp(numeric, MIN_VIDEO_DIMENSION, MAX_VIDEO_DIMENSION);
+    return clamped - (clamped % 2);
+  };
+  const fps = Number(video?.fps);
+  return {
+    width: toDimension(video?.width, DEFAULT_VIDEO_SETTINGS.width),
+    height: toDimension(video?.height, DEFAULT_VIDEO_SETTINGS.height),
+    fps: Number.isFinite(fps) && fps > 0 ? clamp(Math.round(fps * 1000) / 1000, MIN_FPS, MAX_FPS) : DEFAULT_VIDEO_SETTINGS.fps
+  };
+}
+
+// Normalize a project's soundtrack. Tracks play back to back in list order and always live under `audio/`.
+function resolveAudioSettings(audio) {
+  const toFadeSeconds = (value, fallback) => {
+    const numeric = Number(value);
+    return Number.isFinite(numeric) && numeric >= 0 ? Math.min(numeric, MAX_AUDIO_FADE) : fallback;
+  };
+  const volume = Number(audio?.volume);
+  const tracks = (Array.isArray(audio?.tracks) ? audio.tracks : [])
+    .map((track) => path.basename(String((typeof track === 'string' ? track : track?.fileName) || '')))
+    .filter((fileName) => SUPPORTED_AUDIO_EXTENSIONS.has(path.extname(fileName).toLowerCase()))
+    .map((fileName) => ({ fileName, audioPath: path.posix.join('audio', fileName) }));
+  return {
+    tracks,
+    volume: Number.isFinite(volume) ? clamp(volume, 0, MAX_AUDIO_VOLUME) : DEFAULT_AUDIO_SETTINGS.volume,
+    fadeIn: toFadeSeconds(audio?.fadeIn, DEFAULT_AUDIO_SETTINGS.fadeIn),
+    fadeOut: toFadeSeconds(audio?.fadeOut, DEFAULT_AUDIO_SETTINGS.fadeOut),
+    fit: AUDIO_FIT_MODES.includes(audio?.fit) ? audio.fit : DEFAULT_AUDIO_SETTINGS.fit
+  };
+}
+
+// Normalize a project's subtitle options.
+function resolveSubtitleSettings(subtitles) {
+  const language = String(subtitles?.language || '').trim().toLowerCase();
+  return {
+    mux: Boolean(subtitles?.mux),
+    language: /^[a-z]{3}$/.test(language) ? language : DEFAULT_SUBTITLE_SETTINGS.language
+  };
+}
+
+// Clips can only be reused when they were rendered with the same size and frame rate.
+function isSameVideoSettings(a, b) {
+  return a.width === b.width && a.height === b.height && a.fps === b.fps;
+}
+
 async function loadManifest(projectDir) {
   const manifestPath = path.join(projectDir, "manifest.json");
   return readJSON(manifestPath, null);
@@ -342,7 +543,9 @@ async function listProjects() {
       createdAt: normalizedManifest?.createdAt,
       updatedAt: normalizedManifest?.updatedAt,
       clipCount: normalizedManifest?.images?.length || 0,
-      finalVideo: normalizedManifest?.finalVideo || null
+      video: normalizedManifest?.video,
+      finalVideo: normalizedManifest?.finalVideo || null,
+      archivedAt: normalizedManifest?.archivedAt || null
     });
   }
   projects.sort((a, b) => {
@@ -353,25 +556,174 @@ async function listProjects() {
   return projects;
 }
 
+// --- Project Lifecycle ---
+// Renames, duplicates and deletes move whole project folders, so they wait for the project's render jobs.
+function isProjectBusy(slug) {
+  return [...renderJobs.values()].some(
+    (job) => job.details?.slug === slug && (job.status === 'queued' || job.status === 'running')
+  );
+}
+
+// Finals the project left in public/exports, named `<slug>-<timestamp>.mp4` by combineClips.
+async function listProjectExports(slug) {
+  if (!(await pathExists(EXPORTS_DIR))) {
+    return [];
+  }
+  const files = await fsp.readdir(EXPORTS_DIR);
+  return files.filter((fileName) => fileName.startsWith(`${slug}-`) && /^\d+\.mp4$/.test(fileName.slice(slug.length + 1)));
+}
+
+// Finals and their subtitle sidecars are named `<slug>-<timestamp>.*`; the same name under another slug.
+function renameForSlug(fileName, fromSlug, toSlug) {
+  return fileName && fileName.startsWith(`${fromSlug}-`) ? `${toSlug}${fileName.slice(fromSlug.length)}` : fileName;
+}
+
+// Point a manifest at a new slug. Stored image URLs embed the old slug, so they are dropped and rebuilt
+// by hydrateManifest.
+function relocateManifest(manifest, slug, name) {
+  return {
+    ...manifest,
+    slug,
+    name,
+    images: (manifest.images || []).map((image) => ({ ...image, imageUrl: null }))
+  };
+}
+
+// Bundles only hold the manifest, the project's media folders (one level deep) and the final video with its
+// subtitles at the top level. Links and anything else a hand-made archive might contain are skipped.
+function isBundleEntry(entryPath, entry) {
+  if (entry.type !== 'File' && entry.type !== 'Directory') {
+    return false;
+  }
+  const parts = toPosixPath(entryPath).replace(/^\.\//, '').replace(/\/$/, '').split('/');
+  if (BUNDLE_FOLDERS.has(parts[0])) {
+    return parts.length <= 2;
+  }
+  return parts.length === 1 && (parts[0] === 'manifest.json' || /\.(mp4|srt|vtt)$/i.test(parts[0]));
+}
+
+// The final video of an imported manifest, limited to files the bundle unpacked into `dir` under a plain
+// name. A folder or `..` path in the manifest would point outside the project, so such a video makes the
+// import final-less and such a subtitle is dropped.
+async function resolveImportedFinalVideo(finalVideo, dir) {
+  const isUnpackedFile = async (fileName, extension) => typeof fileName === 'string'
+    && !/[\\/]/.test(fileName)
+    && path.extname(fileName).toLowerCase() === extension
+    && isBundleEntry(fileName, { type: 'File' })
+    && await pathExists(path.join(dir, fileName));
+
+  if (!finalVideo || !(await isUnpackedFile(finalVideo.path, '.mp4'))) {
+    return null;
+  }
+  const srt = await isUnpackedFile(finalVideo.subtitles?.srt, '.srt') ? finalVideo.subtitles.srt : null;
+  const vtt = await isUnpackedFile(finalVideo.subtitles?.vtt, '.vtt') ? finalVideo.subtitles.vtt : null;
+  return {
+    ...finalVideo,
+    fileName: finalVideo.path,
+    subtitles: srt || vtt ? { srt, vtt } : null
+  };
+}
+
+// --- Clip Identity ---
+// Content hashes of source files by path and file version, so unchanged files are only read once.
+const sourceHashCache = new Map();
+
+async function hashSourceFile(filePath) {
+  const stats = await fsp.stat(filePath);
+  const cacheKey = `${filePath}:${stats.size}:${stats.mtimeMs}`;
+  if (!sourceHashCache.has(cacheKey)) {
+    const hash = crypto.createHash('sha1');
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    sourceHashCache.set(cacheKey, hash.digest('hex'));
+  }
+  return sourceHashCache.get(cacheKey);
+}
+
+// A clip's identity: the source image's content (or the card design and its background) plus everything
+// that changes its frames, i.e. the CLIP_RENDER_FIELDS of the resolved config and the output size and frame
+// rate. Slides keep their clip wherever they move, and only an edit that changes the pixels needs a render.
+async function computeClipKey(entry, video) {
+  const config = Object.fromEntries(CLIP_RENDER_FIELDS.map((field) => [field, entry.config?.[field] ?? null]));
+  const source = isCardSlide(entry)
+    ? {
+        card: normalizeCard(entry.card),
+        background: entry.cardBackgroundPath ? await hashSourceFile(entry.cardBackgroundPath) : null
+      }
+    : { image: await hashSourceFile(entry.absolutePath) };
+  return crypto.createHash('sha1')
+    .update(JSON.stringify({ version: CLIP_KEY_VERSION, oversample: RENDER_OVERSAMPLE, video, source, config }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+function getClipRelativePath(clipKey) {
+  return path.posix.join('clips', `clip-${clipKey}.mp4`);
+}
+
+// The clip each slide last rendered, by slide id. A clip made at another size or frame rate is never reused.
+function getRecordedClips(manifest, video) {
+  const recorded = new Map();
+  if (!Array.isArray(manifest?.images) || !isSameVideoSettings(resolveVideoSettings(manifest.video), video)) {
+    return recorded;
+  }
+  manifest.images.forEach((image) => {
+    if (image?.id && image.clipFile) {
+      recorded.set(image.id, { clipKey: image.clipKey || null, clipFile: toPosixPath(image.clipFile) });
+    }
+  });
+  return recorded;
+}
+
+// `fresh` when a clip for the slide's current key exists, `stale` when only a clip rendered from older
+// settings or an older source remains, and `missing` otherwise.
+async function getClipState(projectDir, clipKey, recordedClip) {
+  if (clipKey && await pathExists(path.join(projectDir, ...getClipRelativePath(clipKey).split('/')))) {
+    return 'fresh';
+  }
+  if (recordedClip && await pathExists(path.join(projectDir, ...recordedClip.clipFile.split('/')))) {
+    return 'stale';
+  }
+  return 'missing';
+}
+
+// Whether an export reuses a slide's clip in `clipState`: `changed` reuses fresh clips only, `missing` and
+// `range` keep stale ones too, and `all` renders every slide.
+function shouldReuseClip(clipState, renderMode) {
+  if (renderMode === 'missing' || renderMode === 'range') {
+    return clipState !== 'missing';
+  }
+  return renderMode === 'changed' && clipState === 'fresh';
+}
+
+// Store each slide's clip under its clip key, then drop clips no slide uses any more (including the
+// index-named `clip-<n>.mp4` files of older projects).
 async function archiveClipsAndFinal(projectDir, clipTempPaths, finalVideoName, manifestPlan) {
   const clipsDir = path.join(projectDir, "clips");
   await ensureDirectory(clipsDir);
 
   for (let i = 0; i < clipTempPaths.length; i++) {
-    const tempClip = clipTempPaths[i];
-    const clipName = `clip-${i}.mp4`;
-    const destClipPath = path.join(clipsDir, clipName);
-
-    if (path.resolve(tempClip) !== path.resolve(destClipPath)) {
-      await fsp.copyFile(tempClip, destClipPath);
+    const entry = manifestPlan[i];
+    if (!entry?.clipKey) {
+      continue;
     }
-
-    if (manifestPlan[i]) {
-      const relativeClip = toPosixPath(path.relative(projectDir, destClipPath));
-      manifestPlan[i].clipFile = relativeClip;
+    const relativeClip = getClipRelativePath(entry.clipKey);
+    const destClipPath = path.join(projectDir, ...relativeClip.split('/'));
+    if (path.resolve(clipTempPaths[i]) !== path.resolve(destClipPath)) {
+      await fsp.copyFile(clipTempPaths[i], destClipPath);
     }
+    entry.clipFile = relativeClip;
   }
 
+  const usedClips = new Set(manifestPlan.map((entry) => entry?.clipFile && path.posix.basename(toPosixPath(entry.clipFile))));
+  const clipFiles = await fsp.readdir(clipsDir);
+  await Promise.all(
+    clipFiles
+      .filter((fileName) => /^clip-.+\.mp4$/i.test(fileName) && !usedClips.has(fileName))
+      .map((fileName) => fsp.rm(path.join(clipsDir, fileName), { force: true }))
+  );
+
   const finalSource = path.join(EXPORTS_DIR, finalVideoName);
   const finalDest = path.join(projectDir, finalVideoName);
   await fsp.copyFile(finalSource, finalDest);
@@ -387,8 +739,10 @@ async function refreshProjectManifest(projectDir, slug, existingManifest) {
   const manifest = existingManifest ? { ...existingManifest } : { slug, name: slug, images: [] };
   manifest.slug = slug;
   manifest.name = manifest.name || slug;
+  manifest.video = resolveVideoSettings(manifest.video);
+  manifest.audio = resolveAudioSettings(manifest.audio);
+  manifest.subtitles = resolveSubtitleSettings(manifest.subtitles);
   const imagesDir = path.join(projectDir, 'images');
-  const clipsDir = path.join(projectDir, 'clips');
 
   const existingImageMap = new Map();
   if (Array.isArray(existingManifest?.images)) {
@@ -422,6 +776,7 @@ async function refreshProjectManifest(projectDir, slug, existingManifest) {
             imageUrl: existing.imageUrl || null,
             size: stats.size,
             config: existing.config ? { ...existing.config } : {},
+            clipKey: existing.clipKey || null,
             clipFile: existing.clipFile || null,
             __order: existingImageMap.get(id)?.index
           };
@@ -443,6 +798,29 @@ async function refreshProjectManifest(projectDir, slug, existingManifest) {
     });
   }
 
+  // Cards have no file in images/, so carry them over from the manifest at their saved positions.
+  if (Array.isArray(existingManifest?.images)) {
+    existingManifest.images.forEach((image, index) => {
+      if (isCardSlide(image) && image.id) {
+        const position = imageEntries.findIndex((entry) => Number.isInteger(entry.__order) && entry.__order > index);
+        const cardEntry = {
+          id: image.id,
+          kind: 'card',
+          card: normalizeCard(image.card),
+          fileName: null,
+          imagePath: null,
+          imageUrl: null,
+          size: 0,
+          config: image.config ? { ...image.config } : {},
+          clipKey: image.clipKey || null,
+          clipFile: image.clipFile || null,
+          __order: index
+        };
+        imageEntries.splice(position === -1 ? imageEntries.length : position, 0, cardEntry);
+      }
+    });
+  }
+
   manifest.images = imageEntries.map((entry) => {
     const existing = existingImageMap.get(entry.id)?.data;
     const config = existing?.config ? { ...existing.config } : entry.config || {};
@@ -453,28 +831,10 @@ async function refreshProjectManifest(projectDir, slug, existingManifest) {
     };
   });
 
-  const clipsOnDisk = new Map();
-  if (await pathExists(clipsDir)) {
-    const clipFiles = await fsp.readdir(clipsDir, { withFileTypes: true });
-    clipFiles.forEach((entry) => {
-      if (!entry.isFile()) {
-        return;
-      }
-      const match = entry.name.match(/^clip-(\d+)\.mp4$/i);
-      if (!match) {
-        return;
-      }
-      const index = Number.parseInt(match[1], 10);
-      if (!Number.isInteger(index)) {
-        return;
-      }
-      const relativePath = path.posix.join('clips', entry.name);
-      clipsOnDisk.set(index, relativePath);
-    });
-  }
-
+  // A slide without a recorded clip picks up the clip cached under its key, e.g. after files were copied
+  // back into images/ or another slide with the same source and settings was rendered.
   manifest.images = await Promise.all(
-    manifest.images.map(async (image, index) => {
+    manifest.images.map(async (image) => {
       const existingClip = image.clipFile ? toPosixPath(image.clipFile) : null;
       if (existingClip) {
         const clipAbsolute = path.join(projectDir, ...existingClip.split('/'));
@@ -482,10 +842,18 @@ async function refreshProjectManifest(projectDir, slug, existingManifest) {
           return { ...image, clipFile: existingClip };
         }
       }
-      const fallback = clipsOnDisk.get(index) || null;
+      const keyed = {
+        ...image,
+        absolutePath: isCardSlide(image) ? null : path.join(imagesDir, image.fileName),
+        cardBackgroundPath: isCardSlide(image) ? await resolveCardBackgroundPath(image.card, manifest.images, slug) : null
+      };
+      const clipKey = await computeClipKey(keyed, manifest.video).catch(() => null);
+      const keyedClip = clipKey ? getClipRelativePath(clipKey) : null;
+      const keyedExists = keyedClip && await pathExists(path.join(projectDir, ...keyedClip.split('/')));
       return {
         ...image,
-        clipFile: fallback ? toPosixPath(fallback) : null
+        clipKey: keyedExists ? clipKey : image.clipKey || null,
+        clipFile: keyedExists ? keyedClip : null
       };
     })
   );
@@ -524,12 +892,224 @@ async function resolvePlanWithDefaults(plan, defaultConfig, settings, options =
   return resolved;
 }
 
+// --- Render Jobs ---
+// Exports and clip regenerations run in the background; clients follow them by id
+// through `/api/jobs/:jobId` (polling) or `/api/jobs/:jobId/events` (Server-Sent Events).
+const renderJobs = new Map();
+const JOB_RETENTION_MS = 30 * 60 * 1000;
+const JOB_PUBLISH_INTERVAL_MS = 250;
+// Share of a clip's progress attributed to frame generation; the rest is encoding.
+const FRAME_PHASE_WEIGHT = 0.85;
+
+function createRenderJob(type, details = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: `${type}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    type,
+    status: 'queued',
+    message: 'Queued',
+    details,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    progress: {
+      phase: 'queued',
+      clipTotal: 0,
+      clipsCompleted: 0,
+      activeClips: [],
+      combineFraction: 0,
+      percent: 0,
+      etaSeconds: null
+    },
+    result: null,
+    error: null,
+    listeners: new Set(),
+    lastPublishedAt: 0,
+    abortController: new AbortController()
+  };
+  renderJobs.set(job.id, job);
+  return job;
+}
+
+function isRenderJobFinished(job) {
+  return job.status === 'completed' || job.status === 'failed' || job.status === 'cancelled';
+}
+
+function serializeRenderJob(job) {
+  const {
+    listeners: _listeners,
+    lastPublishedAt: _lastPublishedAt,
+    abortController: _abortController,
+    ...rest
+  } = job;
+  return rest;
+}
+
+// Ask a running job to stop; frame loops and FFmpeg processes watch the job's abort signal.
+function cancelRenderJob(job) {
+  if (isRenderJobFinished(job) || job.abortController.signal.aborted) {
+    return false;
+  }
+  job.abortController.abort();
+  updateRenderJob(job, { message: 'Cancelling...' }, { force: true });
+  return true;
+}
+
+// Fraction of a single clip that is done, weighting frame generation over encoding.
+function computeClipFraction(clip) {
+  if (clip.phase === 'encode') {
+    return FRAME_PHASE_WEIGHT + clamp(clip.encodeFraction || 0, 0, 1) * (1 - FRAME_PHASE_WEIGHT);
+  }
+  const frameFraction = clip.frameCount ? clip.frame / clip.frameCount : 0;
+  return frameFraction * FRAME_PHASE_WEIGHT;
+}
+
+// Estimate overall completion: every rendered clip is one unit and the combine step is one more.
+function computeJobPercent(progress) {
+  const totalUnits = (progress.clipTotal || 0) + 1;
+  let completedUnits = 0;
+  if (progress.phase === 'render') {
+    const activeFraction = (progress.activeClips || []).reduce((sum, clip) => sum + computeClipFraction(clip), 0);
+    completedUnits = (progress.clipsCompleted || 0) + activeFraction;
+  } else if (progress.phase === 'combine') {
+    completedUnits = (progress.clipTotal || 0) + clamp(progress.combineFraction || 0, 0, 1);
+  } else if (progress.phase === 'archive' || progress.phase === 'done') {
+    completedUnits = totalUnits;
+  }
+  return clamp((completedUnits / totalUnits) * 100, 0, 100);
+}
+
+function publishRenderJob(job) {
+  job.lastPublishedAt = Date.now();
+  const payload = `data: ${JSON.stringify(serializeRenderJob(job))}\n\n`;
+  for (const listener of job.listeners) {
+    listener.write(payload);
+    if (isRenderJobFinished(job)) {
+      listener.end();
+    }
+  }
+  if (isRenderJobFinished(job)) {
+    job.listeners.clear();
+  }
+}
+
+// Merge a progress patch into the job, refresh percent/ETA and notify listeners (throttled).
+function updateRenderJob(job, patch = {}, options = {}) {
+  const { message, ...progressPatch } = patch;
+  const previousPhase = job.progress.phase;
+  job.progress = { ...job.progress, ...progressPatch };
+  if (message) {
+    job.message = message;
+  }
+  job.progress.percent = computeJobPercent(job.progress);
+  const elapsedSeconds = job.startedAt ? (Date.now() - Date.parse(job.startedAt)) / 1000 : 0;
+  job.progress.etaSeconds = job.progress.percent >= 1 && job.progress.percent < 100
+    ? Math.round((elapsedSeconds * (100 - job.progress.percent)) / job.progress.percent)
+    : null;
+  job.updatedAt = new Date().toISOString();
+
+  const phaseChanged = previousPhase !== job.progress.phase;
+  if (options.force || phaseChanged || Date.now() - job.lastPublishedAt >= JOB_PUBLISH_INTERVAL_MS) {
+    publishRenderJob(job);
+  }
+}
+
+// Render the given clips through the worker pool while mirroring per-clip progress onto the job.
+function renderJobClips(job, workspace, tasks, options = {}) {
+  const onClipDone = typeof options.onClipDone === 'function' ? options.onClipDone : null;
+  updateRenderJob(job, {
+    phase: 'render',
+    clipTotal: tasks.length,
+    clipsCompleted: 0,
+    activeClips: [],
+    message: `Rendering ${tasks.length} clip(s)...`
+  });
+
+  const patchActiveClip = (index, patch) => job.progress.activeClips.map((clip) => (
+    clip.index === index ? { ...clip, ...patch } : clip
+  ));
+
+  return renderClipsInParallel(workspace, tasks, {
+    video: options.video,
+    signal: job.abortController.signal,
+    onStart: (task) => {
+      updateRenderJob(job, {
+        activeClips: [
+          ...job.progress.activeClips,
+          { index: task.index, fileName: getSlideLabel(task.imageConfig), phase: 'frames', frame: 0, frameCount: 0, encodeFraction: 0 }
+        ],
+        message: `Rendering ${getSlideLabel(task.imageConfig)}`
+      });
+    },
+    onProgress: (task, patch) => {
+      updateRenderJob(job, { activeClips: patchActiveClip(task.index, patch) });
+    },
+    onClipDone: async (task, clipPath) => {
+      if (onClipDone) {
+        await onClipDone(task, clipPath);
+      }
+      updateRenderJob(job, {
+        clipsCompleted: job.progress.clipsCompleted + 1,
+        activeClips: job.progress.activeClips.filter((clip) => clip.index !== task.index),
+        message: `Rendered ${job.progress.clipsCompleted + 1} of ${tasks.length} clip(s)`
+      }, { force: true });
+    }
+  });
+}
+
+// Execute the job's worker in the background inside its own scratch workspace
+// and record its result or failure.
+function runRenderJob(job, worker) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  updateRenderJob(job, { phase: 'preparing', message: 'Preparing render...' }, { force: true });
+
+  let workspace = null;
+  Promise.resolve()
+    .then(async () => {
+      workspace = await createRenderWorkspace(job.id);
+      return worker(workspace, job);
+    })
+    .then((result) => {
+      job.status = result?.cancelled ? 'cancelled' : 'completed';
+      job.result = result;
+      job.finishedAt = new Date().toISOString();
+      if (result?.cancelled) {
+        updateRenderJob(job, { message: result.message || 'Render cancelled.' }, { force: true });
+      } else {
+        updateRenderJob(job, { phase: 'done', message: result?.message || 'Render complete.' }, { force: true });
+      }
+    })
+    .catch((error) => {
+      job.finishedAt = new Date().toISOString();
+      if (isRenderCancelledError(error)) {
+        console.log(`Render job ${job.id} cancelled.`);
+        job.status = 'cancelled';
+        updateRenderJob(job, { message: 'Render cancelled.' }, { force: true });
+        return;
+      }
+      console.error(`Render job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      updateRenderJob(job, { message: error.message }, { force: true });
+    })
+    .finally(async () => {
+      if (workspace) {
+        await removeRenderWorkspace(workspace);
+      }
+      setTimeout(() => renderJobs.delete(job.id), JOB_RETENTION_MS).unref();
+    });
+
+  return job;
+}
+
 // --- Middleware ---
 // Accept large payloads from the frontend when plans include many images.
 app.use(express.json({ limit: "50mb" }));
 // Serve the compiled frontend assets.
 app.use(express.static(PUBLIC_DIR));
-app.use('/projects', express.static(OUTPUT_DIR));
+app.use('/projects', serveImageProxies(OUTPUT_DIR), express.static(OUTPUT_DIR));
 
 // --- API Routes ---
 
@@ -541,7 +1121,7 @@ app.get("/api/images", async (req, res) => {
     const imageEntries = [];
     for (const fileName of files) {
       const ext = path.extname(fileName).toLowerCase();
-      if (![".png", ".jpg", ".jpeg", ".gif", ".webp"].includes(ext)) {
+      if (!SUPPORTED_IMAGE_EXTENSIONS.has(ext)) {
         continue;
       }
 
@@ -566,6 +1146,282 @@ app.get("/api/images", async (req, res) => {
   }
 });
 
+// Multipart parser for /api/uploads; files with unsupported extensions are skipped and reported.
+const imageUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      ensureDirectory(UPLOAD_STAGING_DIR).then(() => cb(null, UPLOAD_STAGING_DIR), cb);
+    }
+  }),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_UPLOAD_FILES },
+  defParamCharset: 'utf8',
+  fileFilter: (req, file, cb) => {
+    if (SUPPORTED_IMAGE_EXTENSIONS.has(path.extname(file.originalname).toLowerCase())) {
+      return cb(null, true);
+    }
+    req.rejectedUploads = [...(req.rejectedUploads || []), {
+      fileName: file.originalname,
+      error: `Unsupported file type; use ${[...SUPPORTED_IMAGE_EXTENSIONS].join(', ')}`
+    }];
+    cb(null, false);
+  }
+});
+
+// POST /api/uploads - Add images from the browser (multipart field `images`). With `target=project` they go
+// straight into the images/ folder and manifest of `project=<slug>`; otherwise into the images/ ingest
+// folder. Both fields must come before the files. Names already taken (here or in the project) get a suffix.
+app.post("/api/uploads", (req, res) => {
+  imageUpload.array('images', MAX_UPLOAD_FILES)(req, res, async (uploadError) => {
+    if (uploadError) {
+      const status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const error = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? `${uploadError.field ? 'File' : 'Upload'} is larger than ${Math.round(MAX_UPLOAD_BYTES / 1024 ** 2)} MB`
+        : uploadError.message;
+      return res.status(status).json({ error });
+    }
+    const files = req.files || [];
+    const rejected = req.rejectedUploads || [];
+    try {
+      const toProject = req.body?.target === 'project';
+      const slug = sanitizeProjectName(req.body?.project);
+      const projectDir = slug ? path.join(OUTPUT_DIR, slug) : null;
+      const manifest = projectDir ? await loadManifest(projectDir) : null;
+      if (toProject && !manifest) {
+        await discardStagedUploads(files);
+        return res.status(404).json({ error: 'Project not found' });
+      }
+      const projectImagesDir = manifest ? path.join(projectDir, 'images') : null;
+      const targetDir = toProject ? projectImagesDir : IMAGES_DIR;
+      await ensureDirectory(targetDir);
+
+      const takenIds = await collectImageIds([IMAGES_DIR, projectImagesDir].filter(Boolean));
+      (manifest?.images || []).forEach((image) => takenIds.add(image.id));
+      const images = [];
+      for (const file of files) {
+        if (!(await isReadableUpload(file))) {
+          rejected.push({ fileName: file.originalname, error: 'Not a readable image' });
+          await discardStagedUploads([file]);
+          continue;
+        }
+        const fileName = pickUploadFileName(file.originalname, takenIds);
+        takenIds.add(path.parse(fileName).name);
+        await fsp.rename(file.path, path.join(targetDir, fileName));
+        const imagePath = path.posix.join('images', fileName);
+        const url = toProject ? buildProjectAssetUrl(slug, imagePath) : `/images/${encodeURIComponent(fileName)}`;
+        images.push({
+          id: path.parse(fileName).name,
+          fileName,
+          imagePath,
+          url,
+          thumbnailUrl: url,
+          size: file.size,
+          clipFile: null
+        });
+      }
+
+      if (!images.length) {
+        return res.status(400).json({ error: rejected[0]?.error || 'No images were uploaded', rejected });
+      }
+      const refreshed = toProject ? await refreshProjectManifest(projectDir, slug, manifest) : null;
+      res.json({ success: true, images, rejected, manifest: refreshed });
+    } catch (error) {
+      console.error('Upload failed:', error);
+      await discardStagedUploads(files);
+      res.status(500).json({ error: `Upload failed: ${error.message}` });
+    }
+  });
+});
+
+// Multipart parser for /api/projects/import; the bundle is staged with the image uploads.
+const bundleUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      ensureDirectory(UPLOAD_STAGING_DIR).then(() => cb(null, UPLOAD_STAGING_DIR), cb);
+    }
+  }),
+  limits: { fileSize: MAX_BUNDLE_BYTES, files: 1 },
+  defParamCharset: 'utf8',
+  fileFilter: (req, file, cb) => {
+    cb(null, /\.(tgz|tar\.gz)$/i.test(file.originalname));
+  }
+});
+
+// POST /api/projects/import - Unpack a project bundle (multipart field `bundle`) under `name`, or the name in
+// its manifest. An existing project is only replaced when `replace=true`. The manifest is made portable:
+// machine-specific paths and stored URLs are dropped, and refreshProjectManifest re-links what was unpacked.
+app.post("/api/projects/import", (req, res) => {
+  bundleUpload.single('bundle')(req, res, async (uploadError) => {
+    if (uploadError) {
+      const status = uploadError.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      const error = uploadError.code === 'LIMIT_FILE_SIZE'
+        ? `Bundle is larger than ${Math.round(MAX_BUNDLE_BYTES / 1024 ** 3)} GB`
+        : uploadError.message;
+      return res.status(status).json({ error });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: `Attach a project bundle (${BUNDLE_EXTENSION}).` });
+    }
+
+    const stagingDir = path.join(UPLOAD_STAGING_DIR, `bundle-${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`);
+    let swap = null;
+    try {
+      await ensureDirectory(stagingDir);
+      await tar.x({ file: req.file.path, cwd: stagingDir, strict: true, filter: isBundleEntry });
+      const manifest = await loadManifest(stagingDir);
+      if (!manifest || !Array.isArray(manifest.images)) {
+        return res.status(400).json({ error: 'The bundle has no project manifest.' });
+      }
+
+      const name = String(req.body?.name || manifest.name || manifest.slug || '').trim();
+      const slug = sanitizeProjectName(name);
+      if (!slug) {
+        return res.status(400).json({ error: 'Invalid project name' });
+      }
+      const projectDir = path.join(OUTPUT_DIR, slug);
+      const exists = await pathExists(projectDir);
+      if (exists && req.body?.replace !== 'true') {
+        return res.status(409).json({ error: `A project named "${slug}" already exists. Pick another name or replace it.` });
+      }
+      if (exists && isProjectBusy(slug)) {
+        return res.status(409).json({ error: 'Wait for the project\'s render job to finish before replacing it.' });
+      }
+
+      const relocated = relocateManifest(manifest, slug, name);
+      const imported = {
+        ...relocated,
+        images: relocated.images.map(({ absolutePath, cardBackgroundPath, ...image }) => image),
+        finalVideo: await resolveImportedFinalVideo(relocated.finalVideo, stagingDir)
+      };
+      await saveManifest(stagingDir, imported);
+
+      // Swap the unpacked folder in, keeping the replaced project aside until the move has worked.
+      if (exists) {
+        const replacedDir = `${stagingDir}-replaced`;
+        await fsp.rename(projectDir, replacedDir);
+        swap = { projectDir, replacedDir };
+      }
+      await ensureDirectory(OUTPUT_DIR);
+      await fsp.rename(stagingDir, projectDir);
+      const refreshed = await refreshProjectManifest(projectDir, slug, imported);
+
+      const projects = await listProjects();
+      // Only now is the replaced project safe to drop.
+      if (swap) {
+        await fsp.rm(swap.replacedDir, { recursive: true, force: true }).catch((err) => {
+          console.warn(`Failed to remove replaced project ${swap.replacedDir}:`, err.message);
+        });
+      }
+      res.json({ success: true, manifest: refreshed, projects, message: `Imported project ${name}.` });
+    } catch (error) {
+      console.error('Bundle import failed:', error);
+      if (swap) {
+        // Put the replaced project back, dropping whatever of the import already moved in.
+        try {
+          await fsp.rm(swap.projectDir, { recursive: true, force: true });
+          await fsp.rename(swap.replacedDir, swap.projectDir);
+        } catch (restoreError) {
+          console.error(`Failed to restore ${swap.projectDir}; the previous copy is kept at ${swap.replacedDir}:`, restoreError);
+        }
+      }
+      res.status(500).json({ error: `Bundle import failed: ${error.message}` });
+    } finally {
+      await fsp.rm(stagingDir, { recursive: true, force: true });
+      await fsp.rm(req.file.path, { force: true });
+    }
+  });
+});
+
+// GET /api/audio - List soundtrack files waiting in the images directory
+app.get("/api/audio", async (req, res) => {
+  try {
+    const files = await fsp.readdir(IMAGES_DIR);
+    const audioEntries = [];
+    for (const fileName of files) {
+      if (!SUPPORTED_AUDIO_EXTENSIONS.has(path.extname(fileName).toLowerCase())) {
+        continue;
+      }
+      const stats = await fsp.stat(path.join(IMAGES_DIR, fileName));
+      if (stats.isFile()) {
+        audioEntries.push({
+          fileName,
+          url: `/images/${encodeURIComponent(fileName)}`,
+          size: stats.size
+        });
+      }
+    }
+    res.json(audioEntries);
+  } catch (err) {
+    console.error("Error listing audio:", err);
+    res.status(500).json({ error: "Unable to read audio files" });
+  }
+});
+
+// POST /api/audio/fit-durations - Analyse the soundtrack and propose slide durations that cut on its beats
+app.post("/api/audio/fit-durations", async (req, res) => {
+  const plan = req.body?.plan;
+  if (!Array.isArray(plan) || plan.length === 0) {
+    return res.status(400).json({ error: 'Add slides before fitting them to music.' });
+  }
+  const audio = resolveAudioSettings(req.body?.audio);
+  if (!audio.tracks.length) {
+    return res.status(400).json({ error: 'Add a soundtrack track first.' });
+  }
+
+  // Analysis runs inside the request, so stop FFmpeg when the client goes away or the decode stalls.
+  const abortController = new AbortController();
+  let timedOut = false;
+  const timeout = setTimeout(() => {
+    timedOut = true;
+    abortController.abort();
+  }, ANALYSIS_TIMEOUT_MS);
+  res.on('close', () => abortController.abort());
+
+  try {
+    const slug = sanitizeProjectName(req.body?.projectName || '');
+    const trackPaths = [];
+    for (const track of audio.tracks) {
+      trackPaths.push(await resolveAudioTrackPath(track, slug));
+    }
+    const settings = await loadSettings();
+    const video = resolveVideoSettings(req.body?.video);
+    const resolvedPlan = plan.map((entry) => ({
+      id: entry.id,
+      config: resolveConfigWithDefaults(entry.config || {}, settings.defaultConfig)
+    }));
+
+    const analysis = await analyzeSoundtrack(trackPaths, abortController.signal);
+    let durations;
+    try {
+      durations = fitDurationsToBeats(resolvedPlan, analysis, video);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const fittedPlan = resolvedPlan.map((entry, index) => ({ ...entry, config: { ...entry.config, duration: durations[index] } }));
+
+    res.json({
+      durations: resolvedPlan.map((entry, index) => ({ id: entry.id, duration: durations[index] })),
+      totalDuration: computeTransitionLayout(fittedPlan, video).totalDuration,
+      analysis: {
+        duration: analysis.duration,
+        tempo: analysis.tempo,
+        beatCount: analysis.beats.length,
+        onsetCount: analysis.onsets.length
+      }
+    });
+  } catch (error) {
+    if (isRenderCancelledError(error)) {
+      if (timedOut) {
+        res.status(504).json({ error: `Soundtrack analysis took longer than ${ANALYSIS_TIMEOUT_MS / 1000}s.` });
+      }
+      return;
+    }
+    console.error('Failed to fit durations to soundtrack:', error);
+    res.status(500).json({ error: `Soundtrack analysis failed: ${error.message}` });
+  } finally {
+    clearTimeout(timeout);
+  }
+});
+
 app.get("/api/projects", async (req, res) => {
   try {
     const projects = await listProjects();
@@ -595,12 +1451,255 @@ app.get("/api/projects/:project", async (req, res) => {
   }
 });
 
-app.get("/api/settings", async (req, res) => {
-  try {
-    const settings = await loadSettings();
-    res.json({
-      defaultConfig: settings.defaultConfig,
-      autoMotionNext: settings.autoMotion?.next || 'zoom-in'
+// POST /api/projects/:project/rename - Give a project a new name, moving its folder and finals when the slug changes.
+app.post("/api/projects/:project/rename", async (req, res) => {
+  const slug = sanitizeProjectName(req.params.project);
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  const nextSlug = sanitizeProjectName(name);
+  if (!slug || !nextSlug) {
+    return res.status(400).json({ error: 'Invalid project name' });
+  }
+
+  const projectDir = path.join(OUTPUT_DIR, slug);
+  const nextDir = path.join(OUTPUT_DIR, nextSlug);
+  try {
+    const manifest = await loadManifest(projectDir);
+    if (!manifest) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (isProjectBusy(slug)) {
+      return res.status(409).json({ error: 'Wait for the project\'s render job to finish before renaming it.' });
+    }
+    if (nextSlug !== slug && await pathExists(nextDir)) {
+      return res.status(409).json({ error: `A project named "${nextSlug}" already exists.` });
+    }
+
+    let finalVideo = manifest.finalVideo || null;
+    if (nextSlug !== slug) {
+      await fsp.rename(projectDir, nextDir);
+      for (const fileName of await listProjectExports(slug)) {
+        await fsp.rename(path.join(EXPORTS_DIR, fileName), path.join(EXPORTS_DIR, renameForSlug(fileName, slug, nextSlug)));
+      }
+      // The project's copy of the final and its sidecars follow the exports, so the manifest keeps matching both.
+      if (finalVideo) {
+        const projectFiles = [finalVideo.path, finalVideo.subtitles?.srt, finalVideo.subtitles?.vtt].filter(Boolean).map(toPosixPath);
+        for (const relativePath of projectFiles) {
+          const from = path.join(nextDir, ...relativePath.split('/'));
+          if (await pathExists(from)) {
+            await fsp.rename(from, path.join(path.dirname(from), renameForSlug(path.basename(from), slug, nextSlug)));
+          }
+        }
+        const renamePath = (relativePath) => (
+          relativePath ? path.posix.join(path.posix.dirname(toPosixPath(relativePath)), renameForSlug(path.posix.basename(toPosixPath(relativePath)), slug, nextSlug)) : relativePath
+        );
+        finalVideo = {
+          ...finalVideo,
+          fileName: renameForSlug(finalVideo.fileName, slug, nextSlug),
+          path: renamePath(finalVideo.path),
+          subtitles: finalVideo.subtitles
+            ? { srt: renamePath(finalVideo.subtitles.srt), vtt: renamePath(finalVideo.subtitles.vtt) }
+            : finalVideo.subtitles
+        };
+      }
+    }
+    const renamed = { ...relocateManifest(manifest, nextSlug, name), finalVideo, updatedAt: new Date().toISOString() };
+    await saveManifest(nextDir, renamed);
+
+    const projects = await listProjects();
+    res.json({ success: true, manifest: hydrateManifest(renamed, nextSlug), projects, message: `Renamed project to ${name}.` });
+  } catch (error) {
+    console.error('Failed to rename project:', error);
+    res.status(500).json({ error: `Rename failed: ${error.message}` });
+  }
+});
+
+// GET /api/projects/:project/bundle - Download the project as one gzipped tarball with its manifest, images and
+// soundtrack; `clips=1` adds the rendered clips and `final=1` the final video and its subtitles.
+app.get("/api/projects/:project/bundle", async (req, res) => {
+  const slug = sanitizeProjectName(req.params.project);
+  if (!slug) {
+    return res.status(400).json({ error: 'Invalid project name' });
+  }
+
+  const projectDir = path.join(OUTPUT_DIR, slug);
+  try {
+    const manifest = await loadManifest(projectDir);
+    if (!manifest) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (isProjectBusy(slug)) {
+      return res.status(409).json({ error: 'Wait for the project\'s render job to finish before bundling it.' });
+    }
+
+    const entries = ['manifest.json'];
+    for (const folder of ['images', 'audio', ...(req.query.clips === '1' ? ['clips'] : [])]) {
+      if (await pathExists(path.join(projectDir, folder))) {
+        entries.push(folder);
+      }
+    }
+    const finalVideo = manifest.finalVideo;
+    if (req.query.final === '1' && finalVideo?.path) {
+      for (const fileName of [finalVideo.path, finalVideo.subtitles?.srt, finalVideo.subtitles?.vtt].filter(Boolean)) {
+        if (isBundleEntry(fileName, { type: 'File' }) && await pathExists(path.join(projectDir, fileName))) {
+          entries.push(fileName);
+        }
+      }
+    }
+
+    res.attachment(`${slug}${BUNDLE_EXTENSION}`);
+    const archive = tar.c({ gzip: true, portable: true, cwd: projectDir }, entries);
+    archive.on('error', (error) => {
+      console.error('Bundle export failed:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+  } catch (error) {
+    console.error('Bundle export failed:', error);
+    res.status(500).json({ error: `Bundle export failed: ${error.message}` });
+  }
+});
+
+// POST /api/projects/:project/duplicate - Copy a project's images, soundtrack and slide settings under a new
+// name, plus its clips when `includeClips` is set. The copy starts without a final video.
+app.post("/api/projects/:project/duplicate", async (req, res) => {
+  const slug = sanitizeProjectName(req.params.project);
+  const name = typeof req.body?.name === 'string' ? req.body.name.trim() : '';
+  const nextSlug = sanitizeProjectName(name);
+  const includeClips = Boolean(req.body?.includeClips);
+  if (!slug || !nextSlug) {
+    return res.status(400).json({ error: 'Invalid project name' });
+  }
+
+  const projectDir = path.join(OUTPUT_DIR, slug);
+  const nextDir = path.join(OUTPUT_DIR, nextSlug);
+  let createdDir = false;
+  try {
+    const manifest = await loadManifest(projectDir);
+    if (!manifest) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (isProjectBusy(slug)) {
+      return res.status(409).json({ error: 'Wait for the project\'s render job to finish before duplicating it.' });
+    }
+    if (await pathExists(nextDir)) {
+      return res.status(409).json({ error: `A project named "${nextSlug}" already exists.` });
+    }
+
+    await ensureDirectory(nextDir);
+    createdDir = true;
+    for (const folder of includeClips ? ['images', 'audio', 'clips'] : ['images', 'audio']) {
+      if (await pathExists(path.join(projectDir, folder))) {
+        await fsp.cp(path.join(projectDir, folder), path.join(nextDir, folder), { recursive: true });
+      }
+    }
+
+    const now = new Date().toISOString();
+    const relocated = relocateManifest(manifest, nextSlug, name);
+    const duplicate = {
+      ...relocated,
+      images: includeClips
+        ? relocated.images
+        : relocated.images.map((image) => ({ ...image, clipKey: null, clipFile: null })),
+      createdAt: now,
+      updatedAt: now,
+      finalVideo: null,
+      archivedAt: null
+    };
+    await saveManifest(nextDir, duplicate);
+
+    const projects = await listProjects();
+    res.json({
+      success: true,
+      manifest: hydrateManifest(duplicate, nextSlug),
+      projects,
+      message: `Duplicated project as ${name}${includeClips ? ' with its clips' : ''}.`
+    });
+  } catch (error) {
+    console.error('Failed to duplicate project:', error);
+    // Don't leave a half-copied project behind.
+    if (createdDir) {
+      await fsp.rm(nextDir, { recursive: true, force: true }).catch((err) => {
+        console.warn(`Failed to remove partial duplicate ${nextDir}:`, err.message);
+      });
+    }
+    res.status(500).json({ error: `Duplicate failed: ${error.message}` });
+  }
+});
+
+// POST /api/projects/:project/archive - Hide a project from the default project list (`archived: false` restores it).
+app.post("/api/projects/:project/archive", async (req, res) => {
+  const slug = sanitizeProjectName(req.params.project);
+  if (!slug) {
+    return res.status(400).json({ error: 'Invalid project name' });
+  }
+
+  const archived = req.body?.archived !== false;
+  const projectDir = path.join(OUTPUT_DIR, slug);
+  try {
+    const manifest = await loadManifest(projectDir);
+    if (!manifest) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    // A running export writes back the archive state it started with, so a change now would be lost.
+    if (isProjectBusy(slug)) {
+      return res.status(409).json({ error: 'Wait for the project\'s render job to finish before archiving it.' });
+    }
+    manifest.archivedAt = archived ? new Date().toISOString() : null;
+    await saveManifest(projectDir, manifest);
+
+    const projects = await listProjects();
+    res.json({
+      success: true,
+      manifest: hydrateManifest(manifest, slug),
+      projects,
+      message: `${archived ? 'Archived' : 'Restored'} project ${manifest.name || slug}.`
+    });
+  } catch (error) {
+    console.error('Failed to archive project:', error);
+    res.status(500).json({ error: `Archive failed: ${error.message}` });
+  }
+});
+
+// DELETE /api/projects/:project - Remove the project folder and its finals in public/exports. The body must
+// repeat the slug as `confirm`, so a stray request can't delete anything.
+app.delete("/api/projects/:project", async (req, res) => {
+  const slug = sanitizeProjectName(req.params.project);
+  if (!slug) {
+    return res.status(400).json({ error: 'Invalid project name' });
+  }
+  if (req.body?.confirm !== slug) {
+    return res.status(400).json({ error: `Confirm the deletion by sending "${slug}" as confirm.` });
+  }
+
+  const projectDir = path.join(OUTPUT_DIR, slug);
+  try {
+    const manifest = await loadManifest(projectDir);
+    if (!manifest) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (isProjectBusy(slug)) {
+      return res.status(409).json({ error: 'Cancel the project\'s render job before deleting it.' });
+    }
+
+    const exportFiles = await listProjectExports(slug);
+    await fsp.rm(projectDir, { recursive: true, force: true });
+    await Promise.all(exportFiles.map((fileName) => fsp.rm(path.join(EXPORTS_DIR, fileName), { force: true })));
+
+    const projects = await listProjects();
+    res.json({ success: true, projects, message: `Deleted project ${manifest.name || slug}.` });
+  } catch (error) {
+    console.error('Failed to delete project:', error);
+    res.status(500).json({ error: `Delete failed: ${error.message}` });
+  }
+});
+
+app.get("/api/settings", async (req, res) => {
+  try {
+    const settings = await loadSettings();
+    res.json({
+      defaultConfig: settings.defaultConfig,
+      autoMotionNext: settings.autoMotion?.next || 'zoom-in',
+      upload: { extensions: [...SUPPORTED_IMAGE_EXTENSIONS], maxBytes: MAX_UPLOAD_BYTES }
     });
   } catch (error) {
     console.error('Failed to load settings:', error);
@@ -621,6 +1720,11 @@ app.post("/api/settings/default-config", async (req, res) => {
       zoom: merged.zoom,
       fadeDuration: merged.fadeDuration,
       motionStyle: merged.motionStyle,
+      easing: merged.easing,
+      easingCurve: merged.easingCurve,
+      transition: merged.transition,
+      framing: merged.framing,
+      framingColor: merged.framingColor,
       lockZoom: merged.lockZoom,
       preset: merged.preset
     };
@@ -654,6 +1758,94 @@ app.post("/api/projects/:project/refresh-manifest", async (req, res) => {
   }
 });
 
+// POST /api/projects/:project/clip-status - Whether each slide of the editor's plan still matches its saved clip.
+app.post("/api/projects/:project/clip-status", async (req, res) => {
+  const slug = sanitizeProjectName(req.params.project);
+  if (!slug) {
+    return res.status(400).json({ error: 'Invalid project name' });
+  }
+
+  const projectDir = path.join(OUTPUT_DIR, slug);
+  if (!(await pathExists(projectDir))) {
+    return res.status(404).json({ error: 'Project not found' });
+  }
+
+  const plan = Array.isArray(req.body?.plan) ? req.body.plan : [];
+  try {
+    const settings = await loadSettings();
+    const manifest = await loadManifest(projectDir);
+    const video = resolveVideoSettings(req.body?.video || manifest?.video);
+    const recordedClips = getRecordedClips(manifest, video);
+    const manifestImages = new Map((manifest?.images || []).map((image) => [image.id, image]));
+    // Only ids and file names come from the client; image paths are taken from the manifest.
+    const entries = plan
+      .filter((entry) => entry?.id)
+      .map((entry) => ({
+        id: String(entry.id),
+        ...(isCardSlide(entry)
+          ? { kind: 'card', card: normalizeCard(entry.card) }
+          : { fileName: path.basename(String(entry.fileName || '')), imagePath: manifestImages.get(String(entry.id))?.imagePath || null }),
+        config: resolveConfigWithDefaults(entry.config || {}, settings.defaultConfig)
+      }));
+
+    const slides = await Promise.all(entries.map(async (entry) => {
+      let clipKey = null;
+      try {
+        if (isCardSlide(entry)) {
+          entry.cardBackgroundPath = await resolveCardBackgroundPath(entry.card, entries, slug);
+        } else {
+          entry.absolutePath = await resolveImageAbsolutePath(entry, slug);
+        }
+        clipKey = await computeClipKey(entry, video);
+      } catch (err) {
+        console.warn(`Clip status unavailable for ${getSlideLabel(entry)}: ${err.message}`);
+      }
+      return { id: entry.id, clipKey, state: await getClipState(projectDir, clipKey, recordedClips.get(entry.id)) };
+    }));
+
+    res.json({ slides });
+  } catch (error) {
+    console.error('Failed to check clip status:', error);
+    res.status(500).json({ error: `Clip status failed: ${error.message}` });
+  }
+});
+
+// POST /api/projects/:project/order - Save the Gallery's slide order to the manifest. Exports, combining and
+// refresh-manifest all follow the manifest order, so nothing else needs to change.
+app.post("/api/projects/:project/order", async (req, res) => {
+  const slug = sanitizeProjectName(req.params.project);
+  if (!slug) {
+    return res.status(400).json({ error: 'Invalid project name' });
+  }
+
+  const order = Array.isArray(req.body?.order) ? req.body.order.map(String) : null;
+  if (!order) {
+    return res.status(400).json({ error: 'order must be a list of slide ids.' });
+  }
+
+  const projectDir = path.join(OUTPUT_DIR, slug);
+  try {
+    const manifest = await loadManifest(projectDir);
+    if (!manifest) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    // A running export saves its own copy of the manifest when it finishes, which would undo the new order.
+    if (isProjectBusy(slug)) {
+      return res.status(409).json({ error: 'Wait for the project\'s render job to finish before reordering slides.' });
+    }
+    // Slides missing from the list (e.g. added by hand since the editor loaded) keep their order at the end.
+    const positions = new Map(order.map((id, index) => [id, index]));
+    const rank = (image) => (positions.has(image.id) ? positions.get(image.id) : order.length);
+    manifest.images = (manifest.images || []).slice().sort((a, b) => rank(a) - rank(b));
+    manifest.updatedAt = new Date().toISOString();
+    await saveManifest(projectDir, manifest);
+    res.json({ success: true, manifest: hydrateManifest(manifest, slug) });
+  } catch (error) {
+    console.error('Failed to save slide order:', error);
+    res.status(500).json({ error: `Saving slide order failed: ${error.message}` });
+  }
+});
+
 app.post("/api/projects/:project/regenerate-clip", async (req, res) => {
   const slug = sanitizeProjectName(req.params.project);
   if (!slug) {
@@ -665,6 +1857,10 @@ app.post("/api/projects/:project/regenerate-clip", async (req, res) => {
   if (!manifest) {
     return res.status(404).json({ error: 'Project not found' });
   }
+  // Jobs write clips and the manifest back when they finish, so a second one would overwrite the first's work.
+  if (isProjectBusy(slug)) {
+    return res.status(409).json({ error: 'Wait for the project\'s render job to finish before regenerating a clip.' });
+  }
 
   const imageId = req.body?.imageId;
   if (!imageId) {
@@ -676,11 +1872,8 @@ app.post("/api/projects/:project/regenerate-clip", async (req, res) => {
     return res.status(404).json({ error: 'Image not found in project' });
   }
 
-  try {
-    await fsp.rm(TEMP_DIR, { recursive: true, force: true });
-    await ensureDirectory(FRAMES_DIR);
-    await ensureDirectory(CLIPS_DIR);
-
+  const job = createRenderJob('regenerate', { slug, imageId });
+  runRenderJob(job, async (workspace) => {
     const settings = await loadSettings();
     const existing = manifest.images[imageIndex];
     const incoming = req.body?.config && typeof req.body.config === 'object' ? req.body.config : null;
@@ -695,56 +1888,95 @@ app.post("/api/projects/:project/regenerate-clip", async (req, res) => {
       await saveSettings(settings);
     }
 
-    const preparedEntry = await prepareProjectImage({ ...existing, config: resolvedConfig }, slug, projectDir);
-
-    await cleanupFramesForIndex(imageIndex);
-    await generateFramesForImage(preparedEntry, imageIndex);
-    const clipTempPath = await createClipFromFrames(imageIndex, resolvedConfig.duration);
-    await cleanupFramesForIndex(imageIndex);
-
+    const incomingCard = isCardSlide(existing) && req.body?.card && typeof req.body.card === 'object' ? req.body.card : null;
+    const preparedEntry = await prepareProjectImage(
+      { ...existing, ...(incomingCard ? { card: incomingCard } : {}), config: resolvedConfig },
+      slug,
+      projectDir
+    );
+    if (isCardSlide(preparedEntry)) {
+      preparedEntry.cardBackgroundPath = await resolveCardBackgroundPath(preparedEntry.card, manifest.images, slug);
+    }
+    const { signal } = job.abortController;
+    // The other clips were rendered at the project's size and frame rate, so the replacement must match them.
+    const video = resolveVideoSettings(manifest.video);
+    // Keep the saved soundtrack when rebuilding the final video around the new clip.
+    const audio = resolveAudioSettings(manifest.audio);
+    const audioTrackPaths = await prepareProjectAudio(audio, projectDir);
+    const subtitles = resolveSubtitleSettings(manifest.subtitles);
+    preparedEntry.clipKey = await computeClipKey(preparedEntry, video);
+
+    let finalVideoName;
     const clipPaths = manifest.images.map((img, idx) => {
       if (idx === imageIndex) {
-        return clipTempPath;
+        return null;
       }
-      const relative = img.clipFile ? toPosixPath(img.clipFile) : path.posix.join('clips', `clip-${idx}.mp4`);
-      return path.join(projectDir, ...relative.split('/'));
+      if (!img.clipFile) {
+        throw new Error(`${getSlideLabel(img)} has no rendered clip. Export the project to render missing clips.`);
+      }
+      return path.join(projectDir, ...toPosixPath(img.clipFile).split('/'));
     });
 
-    const plan = manifest.images.map((img, idx) => ({
-      id: img.id,
-      fileName: img.fileName,
-      config: idx === imageIndex ? preparedEntry.config : img.config
-    }));
+    const plan = manifest.images.map((img, idx) => (idx === imageIndex ? preparedEntry : img));
+    const subtitleCues = buildSubtitleCues(plan, video);
+
+    try {
+      await renderJobClips(job, workspace, [{ index: imageIndex, imageConfig: preparedEntry }], {
+        video,
+        onClipDone: (task, clipPath) => {
+          clipPaths[imageIndex] = clipPath;
+        }
+      });
+
+      updateRenderJob(job, { phase: 'combine', combineFraction: 0, message: 'Combining clips into final video...' });
+      const muxFiles = subtitles.mux ? await writeSubtitleFiles(workspace.rootDir, 'subtitles', subtitleCues) : null;
+      finalVideoName = await combineClips(clipPaths, plan, {
+        outputNamePrefix: slug,
+        video,
+        audio: { ...audio, trackPaths: audioTrackPaths },
+        subtitles: muxFiles ? { srtPath: path.join(workspace.rootDir, muxFiles.srt), language: subtitles.language } : null,
+        signal,
+        onProgress: (combineFraction) => updateRenderJob(job, { combineFraction })
+      });
+    } catch (error) {
+      if (isRenderCancelledError(error)) {
+        // The manifest still points at the previous clip; the job workspace is removed afterwards.
+        console.log(`Clip regeneration for ${getSlideLabel(preparedEntry)} cancelled.`);
+      }
+      throw error;
+    }
 
     manifest.images[imageIndex] = preparedEntry;
 
-    const finalVideoName = await combineClips(clipPaths, plan, { outputNamePrefix: slug });
+    updateRenderJob(job, { phase: 'archive', message: 'Archiving clips and final output...' });
     const archived = await archiveClipsAndFinal(projectDir, clipPaths, finalVideoName, manifest.images);
 
     const finalVideoRelative = toPosixPath(path.relative(projectDir, archived.finalPath));
+    const subtitleFiles = await writeSubtitleFiles(projectDir, path.parse(finalVideoName).name, subtitleCues);
     const updatedImages = manifest.images.map((img) => toManifestImageRecord(img));
 
     const manifestRecord = {
       ...manifest,
+      audio,
+      subtitles,
       images: updatedImages,
       finalVideo: {
         fileName: finalVideoName,
-        path: finalVideoRelative
+        path: finalVideoRelative,
+        subtitles: subtitleFiles
       },
       updatedAt: new Date().toISOString()
     };
 
     await saveManifest(projectDir, manifestRecord);
-    await fsp.rm(TEMP_DIR, { recursive: true, force: true });
 
     const projects = await listProjects();
     const hydratedManifest = hydrateManifest(manifestRecord, slug);
 
-    res.json({ success: true, manifest: hydratedManifest, projects });
-  } catch (error) {
-    console.error('Failed to regenerate clip:', error);
-    res.status(500).json({ error: `Clip regeneration failed: ${error.message}` });
-  }
+    return { success: true, message: 'Clip regenerated.', manifest: hydratedManifest, projects };
+  });
+
+  res.status(202).json({ success: true, jobId: job.id, message: 'Clip regeneration started.' });
 });
 
 
@@ -767,150 +1999,256 @@ app.post("/api/export-video", async (req, res) => {
   if (!slug) {
     return res.status(400).json({ error: 'Project name cannot be empty.' });
   }
+  if (isProjectBusy(slug)) {
+    return res.status(409).json({ error: 'Wait for the project\'s render job to finish before exporting it again.' });
+  }
 
   try {
     const projectDir = path.join(OUTPUT_DIR, slug);
     await ensureDirectory(projectDir);
 
-    console.log("Setting up temporary directories...");
-    await fsp.rm(TEMP_DIR, { recursive: true, force: true });
-    await ensureDirectory(FRAMES_DIR);
-    await ensureDirectory(CLIPS_DIR);
-
-    const projectClipsDir = path.join(projectDir, "clips");
-    await ensureDirectory(projectClipsDir);
+    await ensureDirectory(path.join(projectDir, "clips"));
 
     const settings = await loadSettings();
     const resolvedPlan = await resolvePlanWithDefaults(plan, settings.defaultConfig, settings);
 
     const existingManifest = await loadManifest(projectDir);
-    const existingImageMap = new Map();
-    if (existingManifest?.images) {
-      existingManifest.images.forEach((img) => {
-        if (img?.id) {
-          existingImageMap.set(img.id, img);
-        }
-      });
-    }
 
-    const alwaysMissing = new Set();
-    for (let i = 0; i < resolvedPlan.length; i++) {
-      const candidate = resolvedPlan[i];
-      const manifestEntry = existingImageMap.get(candidate.id);
-      const clipRelative = candidate.clipFile || manifestEntry?.clipFile;
-      if (!clipRelative) {
-        alwaysMissing.add(i);
-        continue;
-      }
-      const absoluteClip = path.join(projectDir, ...toPosixPath(clipRelative).split('/'));
-      // eslint-disable-next-line no-await-in-loop
-      if (!(await pathExists(absoluteClip))) {
-        alwaysMissing.add(i);
-      }
+    // Output size and frame rate are part of every clip key, so changing them re-renders all clips.
+    const video = resolveVideoSettings(req.body?.video || existingManifest?.video);
+    const recordedClips = getRecordedClips(existingManifest, video);
+    // The soundtrack is only applied while combining, so changing it never invalidates clips.
+    const audio = resolveAudioSettings(req.body?.audio || existingManifest?.audio);
+    const subtitles = resolveSubtitleSettings(req.body?.subtitles || existingManifest?.subtitles);
+
+    // `changed` renders slides without a clip for their current key (new or edited); `missing` and `range`
+    // keep a slide's last clip even when it is stale, with `range` forcing the listed slides; `all` renders
+    // every slide. Keys need the prepared sources, so the job decides the rest (shouldReuseClip).
+    const rangeSet = renderMode === 'range' ? parseRenderRange(renderRangeRaw, resolvedPlan.length) : null;
+    if (rangeSet && !rangeSet.size) {
+      return res.status(400).json({ error: 'No matching clips found for the requested range.' });
     }
 
-    let indicesToRender;
-    if (renderMode === 'missing') {
-      indicesToRender = new Set(alwaysMissing);
-    } else if (renderMode === 'range') {
-      const rangeSet = parseRenderRange(renderRangeRaw, resolvedPlan.length);
-      indicesToRender = new Set([...rangeSet, ...alwaysMissing]);
-      if (!indicesToRender.size) {
-        return res.status(400).json({ error: 'No matching clips found for the requested range.' });
+    const job = createRenderJob('export', { slug, renderMode });
+    runRenderJob(job, async (workspace) => {
+      const { signal } = job.abortController;
+      const clipPaths = new Array(resolvedPlan.length).fill(null);
+      const renderTasks = [];
+      let clipsFinished = 0;
+
+      // Move every source image into the project first so a cancelled run still leaves a complete manifest.
+      for (let i = 0; i < resolvedPlan.length; i++) {
+        throwIfRenderCancelled(signal);
+        resolvedPlan[i] = await prepareProjectImage(resolvedPlan[i], slug, projectDir);
       }
-    } else {
-      indicesToRender = new Set(Array.from({ length: resolvedPlan.length }, (_, idx) => idx));
-    }
-
-    const clipPaths = [];
-
-    for (let i = 0; i < resolvedPlan.length; i++) {
-      const preparedImage = await prepareProjectImage(resolvedPlan[i], slug, projectDir);
-      resolvedPlan[i] = preparedImage;
+      for (const entry of resolvedPlan.filter(isCardSlide)) {
+        entry.cardBackgroundPath = await resolveCardBackgroundPath(entry.card, resolvedPlan, slug);
+      }
+      const audioTrackPaths = await prepareProjectAudio(audio, projectDir);
 
-      const manifestEntry = existingImageMap.get(preparedImage.id);
-      let clipRelative = preparedImage.clipFile || manifestEntry?.clipFile || path.posix.join('clips', `clip-${i}.mp4`);
-      clipRelative = toPosixPath(clipRelative);
-      let existingClipAbsolute = path.join(projectDir, ...clipRelative.split('/'));
+      const buildManifestRecord = (finalVideo) => {
+        const now = new Date().toISOString();
+        return {
+          name: projectName,
+          slug,
+          createdAt: existingManifest?.createdAt || now,
+          updatedAt: now,
+          video,
+          audio,
+          subtitles,
+          images: resolvedPlan.map((item) => toManifestImageRecord(item)),
+          finalVideo,
+          // Lifecycle state set from the project panel outlives re-exports.
+          archivedAt: existingManifest?.archivedAt || null
+        };
+      };
 
-      let shouldRender = indicesToRender.has(i);
-      if (!shouldRender && !(await pathExists(existingClipAbsolute))) {
-        shouldRender = true;
-      }
+      try {
+        // Slides with identical sources and settings share one clip, so only the first of them renders.
+        const queuedKeys = new Map();
+        const sharedClips = [];
+        for (let i = 0; i < resolvedPlan.length; i++) {
+          throwIfRenderCancelled(signal);
+          const preparedImage = resolvedPlan[i];
+          preparedImage.clipKey = await computeClipKey(preparedImage, video);
+          const recordedClip = recordedClips.get(preparedImage.id);
+          const clipState = rangeSet?.has(i)
+            ? 'missing'
+            : await getClipState(projectDir, preparedImage.clipKey, recordedClip);
+
+          if (shouldReuseClip(clipState, renderMode)) {
+            console.log(`Reusing ${clipState === 'stale' ? 'stale' : 'existing'} clip for image ${i + 1}`);
+            if (clipState === 'stale') {
+              preparedImage.clipKey = recordedClip.clipKey;
+            }
+            preparedImage.clipFile = clipState === 'fresh' ? getClipRelativePath(preparedImage.clipKey) : recordedClip.clipFile;
+            clipPaths[i] = path.join(projectDir, ...preparedImage.clipFile.split('/'));
+          } else if (queuedKeys.has(preparedImage.clipKey)) {
+            preparedImage.clipFile = null;
+            sharedClips.push({ index: i, sourceIndex: queuedKeys.get(preparedImage.clipKey) });
+          } else {
+            preparedImage.clipFile = null;
+            queuedKeys.set(preparedImage.clipKey, i);
+            renderTasks.push({ index: i, imageConfig: preparedImage });
+          }
+        }
 
-      if (shouldRender) {
-        await cleanupFramesForIndex(i);
-        console.log(`Processing image ${i + 1}/${resolvedPlan.length}: ${preparedImage.fileName}`);
-        await generateFramesForImage(preparedImage, i);
-        const tempClipPath = await createClipFromFrames(i, preparedImage.config.duration);
-        const clipName = `clip-${i}.mp4`;
-        const projectClipPath = path.join(projectClipsDir, clipName);
-        await fsp.copyFile(tempClipPath, projectClipPath);
-        clipPaths.push(projectClipPath);
-        preparedImage.clipFile = path.posix.join('clips', clipName);
-        await cleanupFramesForIndex(i);
-        await fsp.unlink(tempClipPath).catch((err) => {
-          if (err?.code !== 'ENOENT') {
-            console.warn(`Failed to remove temp clip ${tempClipPath}:`, err.message);
+        await renderJobClips(job, workspace, renderTasks, {
+          video,
+          onClipDone: async (task, tempClipPath) => {
+            const clipRelative = getClipRelativePath(resolvedPlan[task.index].clipKey);
+            const projectClipPath = path.join(projectDir, ...clipRelative.split('/'));
+            await fsp.copyFile(tempClipPath, projectClipPath);
+            clipPaths[task.index] = projectClipPath;
+            resolvedPlan[task.index].clipFile = clipRelative;
+            clipsFinished += 1;
+            await fsp.unlink(tempClipPath).catch((err) => {
+              if (err?.code !== 'ENOENT') {
+                console.warn(`Failed to remove temp clip ${tempClipPath}:`, err.message);
+              }
+            });
           }
         });
-        existingClipAbsolute = projectClipPath;
-      } else {
-        console.log(`Reusing existing clip for image ${i + 1}`);
-        clipPaths.push(existingClipAbsolute);
-        preparedImage.clipFile = toPosixPath(path.relative(projectDir, existingClipAbsolute));
-      }
-    }
 
-    console.log("All clips ready. Combining into final video...");
-    const finalVideoName = await combineClips(clipPaths, resolvedPlan, { outputNamePrefix: slug });
+        sharedClips.forEach(({ index, sourceIndex }) => {
+          clipPaths[index] = clipPaths[sourceIndex];
+          resolvedPlan[index].clipFile = resolvedPlan[sourceIndex].clipFile;
+        });
 
-    console.log("Archiving clips and final output...");
-    const archived = await archiveClipsAndFinal(projectDir, clipPaths, finalVideoName, resolvedPlan);
+        console.log("All clips ready. Combining into final video...");
+        updateRenderJob(job, { phase: 'combine', combineFraction: 0, message: `Combining ${clipPaths.length} clips into final video...` });
+        const subtitleCues = buildSubtitleCues(resolvedPlan, video);
+        const muxFiles = subtitles.mux ? await writeSubtitleFiles(workspace.rootDir, 'subtitles', subtitleCues) : null;
+        const finalVideoName = await combineClips(clipPaths, resolvedPlan, {
+          outputNamePrefix: slug,
+          video,
+          audio: { ...audio, trackPaths: audioTrackPaths },
+          subtitles: muxFiles ? { srtPath: path.join(workspace.rootDir, muxFiles.srt), language: subtitles.language } : null,
+          signal,
+          onProgress: (combineFraction) => updateRenderJob(job, { combineFraction })
+        });
 
-    const now = new Date().toISOString();
-    const finalVideoRelative = toPosixPath(path.relative(projectDir, archived.finalPath));
+        console.log("Archiving clips and final output...");
+        updateRenderJob(job, { phase: 'archive', message: 'Archiving clips and final output...' });
+        const archived = await archiveClipsAndFinal(projectDir, clipPaths, finalVideoName, resolvedPlan);
 
-    const manifestRecord = {
-      name: projectName,
-      slug,
-      createdAt: existingManifest?.createdAt || now,
-      updatedAt: now,
-      images: resolvedPlan.map((item) => toManifestImageRecord(item)),
-      finalVideo: {
-        fileName: finalVideoName,
-        path: finalVideoRelative
-      }
-    };
+        const finalVideoRelative = toPosixPath(path.relative(projectDir, archived.finalPath));
+        const subtitleFiles = await writeSubtitleFiles(projectDir, path.parse(finalVideoName).name, subtitleCues);
+        const manifestRecord = buildManifestRecord({
+          fileName: finalVideoName,
+          path: finalVideoRelative,
+          subtitles: subtitleFiles
+        });
 
-    await saveManifest(projectDir, manifestRecord);
+        await saveManifest(projectDir, manifestRecord);
 
-    console.log("Cleaning up temporary files...");
-    await fsp.rm(TEMP_DIR, { recursive: true, force: true });
+        const projects = await listProjects();
+        const hydratedManifest = hydrateManifest(manifestRecord, slug);
 
-    const projects = await listProjects();
-    const hydratedManifest = hydrateManifest(manifestRecord, slug);
+        const scopeDescription = renderMode === 'changed'
+          ? 'changed and missing clips'
+          : renderMode === 'missing'
+            ? 'missing clips'
+            : renderMode === 'range'
+              ? `selected clips${renderRangeRaw ? ` (${renderRangeRaw})` : ''}`
+              : 'all clips';
+
+        console.log(`Export complete (${scopeDescription}): ${finalVideoName}`);
+        return {
+          success: true,
+          message: `Export complete (${scopeDescription}).`,
+          downloadUrl: `/exports/${finalVideoName}`,
+          subtitleUrls: subtitleFiles
+            ? { srt: buildProjectAssetUrl(slug, subtitleFiles.srt), vtt: buildProjectAssetUrl(slug, subtitleFiles.vtt) }
+            : null,
+          manifest: hydratedManifest,
+          projects
+        };
+      } catch (error) {
+        if (!isRenderCancelledError(error)) {
+          throw error;
+        }
+        console.log("Export cancelled. Cleaning up partial output...");
 
-    const scopeDescription = renderMode === 'missing'
-      ? 'missing clips'
-      : renderMode === 'range'
-        ? `selected clips${renderRangeRaw ? ` (${renderRangeRaw})` : ''}`
-        : 'all clips';
+        // Only keep clips that finished encoding; slides still waiting fall back to their last clip.
+        for (const entry of resolvedPlan) {
+          if (entry.clipFile) {
+            continue;
+          }
+          const clipState = await getClipState(projectDir, entry.clipKey, recordedClips.get(entry.id));
+          if (clipState === 'stale') {
+            Object.assign(entry, recordedClips.get(entry.id));
+          } else {
+            entry.clipFile = clipState === 'fresh' ? getClipRelativePath(entry.clipKey) : null;
+          }
+        }
+        const manifestRecord = buildManifestRecord(existingManifest?.finalVideo || null);
+        await saveManifest(projectDir, manifestRecord);
 
-    console.log(`Export complete (${scopeDescription}): ${finalVideoName}`);
-    res.status(200).json({
-      success: true,
-      message: `Export complete (${scopeDescription}).`,
-      downloadUrl: `/exports/${finalVideoName}`,
-      manifest: hydratedManifest,
-      projects
+        const projects = await listProjects();
+        return {
+          success: false,
+          cancelled: true,
+          message: `Export cancelled. Kept ${clipsFinished} newly rendered clip(s).`,
+          manifest: hydrateManifest(manifestRecord, slug),
+          projects
+        };
+      }
     });
+
+    res.status(202).json({ success: true, jobId: job.id, message: 'Export started.' });
   } catch (error) {
     console.error("Video export failed:", error);
     res.status(500).json({ success: false, message: `Export failed: ${error.message}` });
   }
 });
 
+// GET /api/jobs/:jobId - Snapshot of a background render job for polling clients.
+app.get("/api/jobs/:jobId", (req, res) => {
+  const job = renderJobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(serializeRenderJob(job));
+});
+
+// POST /api/jobs/:jobId/cancel - Stop a running export or clip regeneration.
+app.post("/api/jobs/:jobId/cancel", (req, res) => {
+  const job = renderJobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  if (!cancelRenderJob(job)) {
+    return res.status(409).json({ error: 'Job is no longer running' });
+  }
+  res.status(202).json({ success: true, message: 'Cancelling...' });
+});
+
+// GET /api/jobs/:jobId/events - Stream job progress as Server-Sent Events until it finishes.
+app.get("/api/jobs/:jobId/events", (req, res) => {
+  const job = renderJobs.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(`data: ${JSON.stringify(serializeRenderJob(job))}\n\n`);
+
+  if (isRenderJobFinished(job)) {
+    return res.end();
+  }
+
+  job.listeners.add(res);
+  req.on('close', () => {
+    job.listeners.delete(res);
+  });
+});
+
 
 // POST /api/export-frame - Render a single frame for quick preview
 // Lightweight endpoint that renders a single frame for quick previews.
@@ -934,10 +2272,10 @@ app.post("/api/export-frame", async (req, res) => {
   const slug = projectName ? sanitizeProjectName(projectName) : '';
 
   const imageConfig = plan[imageIndex];
+  let workspace = null;
   try {
     await ensureDirectory(EXPORTS_DIR);
-    await fsp.rm(TEMP_DIR, { recursive: true, force: true });
-    await ensureDirectory(FRAMES_DIR);
+    workspace = await createRenderWorkspace(`frame-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`);
 
     const settings = await loadSettings();
     const resolved = resolveConfigWithDefaults(imageConfig.config || {}, settings.defaultConfig);
@@ -945,9 +2283,9 @@ app.post("/api/export-frame", async (req, res) => {
       resolved.targetPoint = { x: 50, y: 50 };
     }
 
-    const absolutePath = await resolveImageAbsolutePath(imageConfig, slug || null);
-
-    await cleanupFramesForIndex(imageIndex);
+    const card = isCardSlide(imageConfig) ? normalizeCard(imageConfig.card) : null;
+    const absolutePath = card ? null : await resolveImageAbsolutePath(imageConfig, slug || null);
+    const cardBackgroundPath = card ? await resolveCardBackgroundPath(card, plan, slug || null) : null;
 
     const safeId = (imageConfig.id || path.parse(imageConfig.fileName || `image-${imageIndex}`).name)
       .toString()
@@ -957,20 +2295,21 @@ app.post("/api/export-frame", async (req, res) => {
     const outputPath = path.join(EXPORTS_DIR, outputName);
 
     let singleProgress = 1;
-    const motionStyle = resolved.motionStyle || 'ping-pong';
+    // Pan arrows and keyframe paths snapshot their end framing, like zoom-in.
+    const motionStyle = resolved.arrow || resolved.keyframes ? 'zoom-in' : (resolved.motionStyle || 'ping-pong');
     if (motionStyle === 'ping-pong') {
       singleProgress = 0.5;
     } else if (motionStyle === 'zoom-out') {
       singleProgress = 0;
     }
 
-    await generateFramesForImage({ ...imageConfig, absolutePath, config: resolved }, imageIndex, {
+    await generateFramesForImage({ ...imageConfig, absolutePath, cardBackgroundPath, config: resolved }, imageIndex, {
+      workspace,
+      video: resolveVideoSettings(req.body?.video),
       singleProgress,
       outputPath,
     });
 
-    await cleanupFramesForIndex(imageIndex);
-
     res.status(200).json({
       success: true,
       message: 'Frame exported.',
@@ -979,37 +2318,107 @@ app.post("/api/export-frame", async (req, res) => {
   } catch (error) {
     console.error('Single frame export failed:', error);
     res.status(500).json({ success: false, message: `Frame export failed: ${error.message}` });
+  } finally {
+    if (workspace) {
+      await removeRenderWorkspace(workspace);
+    }
   }
 });
 
-// Working directories that hold intermediate frames and clips.
-const TEMP_DIR = path.join(ROOT_DIR, "temp");
-const FRAMES_DIR = path.join(TEMP_DIR, "frames");
-const CLIPS_DIR = path.join(TEMP_DIR, "clips");
+// Render a card as a still so the editor can show it like any other slide. Previews are drawn with the
+// project's aspect ratio but capped in size to keep them quick.
+app.post("/api/cards/preview", async (req, res) => {
+  const card = normalizeCard(req.body?.card);
+  const video = resolveVideoSettings(req.body?.video);
+  const scale = Math.min(1, CARD_PREVIEW_MAX_SIZE / Math.max(video.width, video.height));
+  const previewSize = {
+    width: Math.max(1, Math.round(video.width * scale)),
+    height: Math.max(1, Math.round(video.height * scale))
+  };
+  const projectName = req.body?.projectName;
+  const slug = projectName ? sanitizeProjectName(projectName) : '';
+  // Only file names are taken from the client; the background is looked up in the project or images folder.
+  const source = req.body?.backgroundImage;
+  const entries = source?.id && source?.fileName
+    ? [{ id: String(source.id), fileName: path.basename(String(source.fileName)) }]
+    : [];
+
+  try {
+    const backgroundPath = await resolveCardBackgroundPath(card, entries, slug || null);
+    const buffer = await renderCardImage(card, previewSize, backgroundPath);
+    res.type('png').send(buffer);
+  } catch (error) {
+    console.error('Card preview failed:', error);
+    res.status(500).json({ error: `Card preview failed: ${error.message}` });
+  }
+});
+
+// Root for per-render scratch workspaces that hold intermediate frames and clips.
+const TEMP_DIR = path.join(ROOT_DIR, "temp");
+// Cached browser proxies for HEIC/TIFF/RAW sources; cleared with the rest of temp/ at startup.
+const PROXY_DIR = path.join(TEMP_DIR, "proxies");
+const PROXY_MAX_SIZE = 2048;
+const PROXY_JPEG_QUALITY = 85;
+// Uploads are staged here until they are checked and given a free name in their destination.
+const UPLOAD_STAGING_DIR = path.join(TEMP_DIR, "uploads");
 
 // --- Config ---
-// Video characteristics shared by every rendered clip.
-const FPS = 30;
-const VIEWPORT_WIDTH = 1280;
-const VIEWPORT_HEIGHT = 720;
-const DEFAULT_DURATION = 6;
-const DEFAULT_ZOOM = 1.8;
-const BASE_DEFAULT_CONFIG = {
-  duration: DEFAULT_DURATION,
-  zoom: DEFAULT_ZOOM,
-  fadeDuration: 0.5,
-  motionStyle: "ping-pong",
-  lockZoom: false,
-  preset: "custom"
+// Limits for a project's `video` overrides; the default size and frame rate live in render.js.
+const MIN_VIDEO_DIMENSION = 16;
+const MAX_VIDEO_DIMENSION = 7680;
+const MIN_FPS = 1;
+const MAX_FPS = 120;
+// Soundtrack defaults; `trim` cuts (or pads) the music to the video length, `loop` repeats it to fill.
+const AUDIO_FIT_MODES = ["trim", "loop"];
+const MAX_AUDIO_VOLUME = 2;
+const MAX_AUDIO_FADE = 30;
+const DEFAULT_AUDIO_SETTINGS = {
+  tracks: [],
+  volume: 1,
+  fadeIn: 1,
+  fadeOut: 2,
+  fit: "trim"
 };
+// Subtitle sidecars are always written next to the final video; `mux` also embeds them as a soft
+// subtitle track. `language` is an ISO 639-2 code stored in the MP4 track metadata.
+const DEFAULT_SUBTITLE_SETTINGS = {
+  mux: false,
+  language: "eng"
+};
+const MAX_SUBTITLE_LENGTH = 1000;
+// Longest side of the card previews drawn for the editor.
+const CARD_PREVIEW_MAX_SIZE = 960;
+
+// FFmpeg xfade transitions offered per slide (mirrored in app.jsx). A slide's transition leads into the next slide.
+const TRANSITION_TYPES = [
+  "fade", "dissolve", "fadeblack", "fadewhite",
+  "wipeleft", "wiperight", "wipeup", "wipedown",
+  "slideleft", "slideright", "slideup", "slidedown",
+  "circleopen", "circleclose", "radial"
+];
+const DEFAULT_TRANSITION = "fade";
+
+function isKnownTransition(transition) {
+  return TRANSITION_TYPES.includes(transition);
+}
 
-// Render images at a higher resolution before scaling to smooth zooms.
-const RENDER_OVERSAMPLE = Math.max(1, Number(process.env.RENDER_OVERSAMPLE) || 2);
-
-// GPU codec preferences with CPU fallbacks for machines without NVENC.
-const NVENC_CODEC = process.env.NVENC_CODEC || "h264_nvenc";
-const CPU_FALLBACK_CODEC = "libx264";
-const USE_NVENC = process.env.USE_NVENC !== "false";
+// Config fields that change a clip's frames. Transition, fade length and subtitle text are only applied
+// when clips are combined, so editing them keeps the cached clip.
+const CLIP_RENDER_FIELDS = ['duration', 'zoom', 'targetPoint', 'motionStyle', 'easing', 'easingCurve', 'keyframes', 'arrow', 'caption', 'framing', 'framingColor'];
+// Bump when the frame pipeline changes what a clip looks like, so older clips stop matching.
+const CLIP_KEY_VERSION = 2;
+
+// Number of clips rendered at once during an export: RENDER_CONCURRENCY, or a quarter of the CPU
+// cores but never fewer than 1, so machines with under four cores render one clip at a time.
+// Each clip keeps an oversampled copy of its image in memory, so the pool also stops launching
+// clips once their estimated memory would exceed RENDER_MEMORY_BUDGET_MB (defaults to half of
+// system memory).
+const RENDER_CONCURRENCY = Math.max(1, Math.floor(Number(process.env.RENDER_CONCURRENCY)) || Math.max(1, Math.floor(os.cpus().length / 4)));
+const RENDER_MEMORY_BUDGET_BYTES = (Number(process.env.RENDER_MEMORY_BUDGET_MB) > 0
+  ? Number(process.env.RENDER_MEMORY_BUDGET_MB) * 1024 * 1024
+  : os.totalmem() / 2);
+// Entry module for clip worker threads.
+const RENDER_WORKER_PATH = path.join(ROOT_DIR, "render-worker.js");
 
 const SETTINGS_DEFAULTS = {
   defaultConfig: BASE_DEFAULT_CONFIG,
@@ -1018,438 +2427,141 @@ const SETTINGS_DEFAULTS = {
   }
 };
 
-// Build codec-specific flags for FFmpeg runs.
-function getCodecOptions(codec) {
-  if (codec === NVENC_CODEC) {
-    return [
-      "-preset", process.env.NVENC_PRESET || "p5",
-      "-rc:v", process.env.NVENC_RATE_CONTROL || "vbr",
-      "-cq", process.env.NVENC_CQ || "19"
-    ];
-  }
-  return [
-    "-preset", process.env.X264_PRESET || "veryfast",
-    "-crf", process.env.X264_CRF || "18"
-  ];
-}
-
-// Detect whether FFmpeg failed because the requested encoder is missing.
-function isCodecUnavailableError(error) {
-
-  if (!error) {
-
-    return false;
-
-  }
-
-  const message = [error.message, error.stderr, error.stdout]
-
-    .filter(Boolean)
-
-    .join(' | ')
-
-    .toLowerCase();
-
-  if (!message) {
-
-    return false;
-
+// Convert an FFmpeg timemark (HH:MM:SS.ms) into seconds.
+function parseTimemark(timemark) {
+  if (typeof timemark !== 'string') {
+    return null;
   }
-
-  return message.includes('unknown encoder') ||
-
-    message.includes('no nvenc capable devices') ||
-
-    message.includes('cannot find nvenc') ||
-
-    message.includes('nvenc') && message.includes('not available');
-
-}
-
-
-
-// --- Helper Functions (copied from frontend) ---
-// Shared math helpers mirrored from the client.
-function clamp(value, min, max) {
-  return Math.min(Math.max(value, min), max);
-}
-
-// Sanitize duration values coming from the client payload.
-function getSafeDuration(value) {
-  const parsed = Number(value);
-  if (Number.isFinite(parsed) && parsed > 0) {
-    return parsed;
+  const parts = timemark.split(':').map((part) => Number(part));
+  if (parts.length !== 3 || parts.some((part) => !Number.isFinite(part))) {
+    return null;
   }
-  return DEFAULT_DURATION;
+  return parts[0] * 3600 + parts[1] * 60 + parts[2];
 }
 
-// Sanitize zoom values coming from the client payload.
-function getSafeZoom(value) {
-  const parsed = Number(value);
-  if (Number.isFinite(parsed) && parsed > 0) {
-    return parsed;
+// --- Title Cards ---
+// Find the image behind an image-background card among the project's slides. A missing slide or file
+// falls back to the card's solid colour rather than failing the render.
+async function resolveCardBackgroundPath(card, entries, slug) {
+  if (card.background !== 'image' || !card.backgroundImageId) {
+    return null;
   }
-  return DEFAULT_ZOOM;
-}
-
-// --- Easing Functions ---
-// Numerical cubic-bezier solver so exports use the same easing as previews.
-function cubicBezier(p1x, p1y, p2x, p2y) {
-  const cx = 3 * p1x;
-  const bx = 3 * (p2x - p1x) - cx;
-  const ax = 1 - cx - bx;
-  const cy = 3 * p1y;
-  const by = 3 * (p2y - p1y) - cy;
-  const ay = 1 - cy - by;
-
-  function sampleCurveX(t) {
-    return ((ax * t + bx) * t + cx) * t;
+  const source = entries.find((entry) => entry?.id === card.backgroundImageId && !isCardSlide(entry));
+  if (!source) {
+    return null;
   }
-
-  function sampleCurveY(t) {
-    return ((ay * t + by) * t + cy) * t;
+  try {
+    return await resolveImageAbsolutePath(source, slug);
+  } catch (err) {
+    console.warn(`Card background unavailable: ${err.message}`);
+    return null;
   }
+}
 
-  function sampleCurveDerivativeX(t) {
-    return (3 * ax * t + 2 * bx) * t + cx;
-  }
+// --- Preview Proxies ---
+// In-flight proxy builds by cache key, so the gallery thumbnail and the viewer share one conversion.
+const proxyBuilds = new Map();
 
-  function solveCurveX(x, epsilon) {
-    let t0 = x;
-    for (let i = 0; i < 8; i++) {
-      const x2 = sampleCurveX(t0) - x;
-      if (Math.abs(x2) < epsilon) {
-        return t0;
-      }
-      const d2 = sampleCurveDerivativeX(t0);
-      if (Math.abs(d2) < 1e-6) {
-        break;
+// Serve HEIC/AVIF/TIFF/RAW sources under their usual URL as a cached, upright sRGB JPEG the browser can
+// show. Frames are still rendered from the original file.
+function serveImageProxies(rootDir) {
+  return async (req, res, next) => {
+    if (!PROXY_IMAGE_EXTENSIONS.has(path.extname(req.path).toLowerCase())) {
+      return next();
+    }
+    let sourcePath;
+    try {
+      sourcePath = path.resolve(rootDir, `.${decodeURIComponent(req.path)}`);
+    } catch (err) {
+      return next();
+    }
+    if (!sourcePath.startsWith(path.resolve(rootDir) + path.sep)) {
+      return next();
+    }
+    try {
+      res.type('jpeg').sendFile(await ensureImageProxy(sourcePath));
+    } catch (err) {
+      if (err?.code === 'ENOENT') {
+        return next();
       }
-      t0 = t0 - x2 / d2;
+      console.error(`Proxy for ${sourcePath} failed:`, err);
+      res.status(500).json({ error: `Unable to preview ${path.basename(sourcePath)}: ${err.message}` });
     }
-    return t0;
-  }
-
-  return function(x) {
-    return sampleCurveY(solveCurveX(x, 1e-6));
   };
 }
 
-const easeInOut = cubicBezier(0.42, 0, 0.58, 1);
-
-// Reproduce the frontend transform math so exports align with previews.
-function getKenBurnsTransform(targetPoint, metrics, scale) {
-  if (!targetPoint || !metrics || !metrics.stageWidth || !metrics.stageHeight) {
-    return {
-      transform: "scale(1)",
-      transformOrigin: "50% 50%",
-      translateX: 0,
-      translateY: 0,
-      originX: metrics ? metrics.stageWidth / 2 : 0,
-      originY: metrics ? metrics.stageHeight / 2 : 0
-    };
-  }
-
-  const targetXOnImage = (targetPoint.x / 100) * metrics.displayWidth;
-  const targetYOnImage = (targetPoint.y / 100) * metrics.displayHeight;
-  const originX = metrics.offsetX + targetXOnImage;
-  const originY = metrics.offsetY + targetYOnImage;
-  const transformOrigin = `${originX}px ${originY}px`;
-
-  if (scale === 1) {
-    return {
-      transform: "scale(1) translate(0px, 0px)",
-      transformOrigin,
-      translateX: 0,
-      translateY: 0,
-      originX,
-      originY
-    };
-  }
-
-  const viewportCenterX = metrics.stageWidth / 2;
-  const viewportCenterY = metrics.stageHeight / 2;
-  let translateX = viewportCenterX - originX;
-  let translateY = viewportCenterY - originY;
-
-  const scaledTopLeftX = originX + (metrics.offsetX - originX) * scale + translateX;
-  const scaledTopLeftY = originY + (metrics.offsetY - originY) * scale + translateY;
-  const scaledWidth = metrics.displayWidth * scale;
-  const scaledHeight = metrics.displayHeight * scale;
-  const scaledBottomRightX = scaledTopLeftX + scaledWidth;
-  const scaledBottomRightY = scaledTopLeftY + scaledHeight;
-
-  if (scaledTopLeftX > 0) translateX -= scaledTopLeftX;
-  if (scaledBottomRightX < metrics.stageWidth) translateX += metrics.stageWidth - scaledBottomRightX;
-  if (scaledTopLeftY > 0) translateY -= scaledTopLeftY;
-  if (scaledBottomRightY < metrics.stageHeight) translateY += metrics.stageHeight - scaledBottomRightY;
-
-  const transform = `translate(${translateX}px, ${translateY}px) scale(${scale})`;
-  return { transform, transformOrigin, translateX, translateY, originX, originY };
-}
-
-// Describe how the source image maps into the viewport dimensions.
-function buildBaseMetrics(naturalWidth, naturalHeight) {
-  const stageWidth = VIEWPORT_WIDTH;
-  const stageHeight = VIEWPORT_HEIGHT;
-  const baseScale = Math.min(stageWidth / naturalWidth, stageHeight / naturalHeight);
-  const displayWidth = naturalWidth * baseScale;
-  const displayHeight = naturalHeight * baseScale;
-  const offsetX = (stageWidth - displayWidth) / 2;
-  const offsetY = (stageHeight - displayHeight) / 2;
-  return {
-    stageWidth,
-    stageHeight,
-    displayWidth,
-    displayHeight,
-    offsetX,
-    offsetY,
-    naturalWidth,
-    naturalHeight,
-    baseScale,
-  };
+// Build (once per file version) the proxy JPEG for a source image and return its path.
+async function ensureImageProxy(sourcePath) {
+  const stats = await fsp.stat(sourcePath);
+  const key = crypto.createHash('sha1').update(`${sourcePath}:${stats.size}:${stats.mtimeMs}`).digest('hex');
+  const proxyPath = path.join(PROXY_DIR, `${key}.jpg`);
+  if (await pathExists(proxyPath)) {
+    return proxyPath;
+  }
+  if (!proxyBuilds.has(key)) {
+    const build = (async () => {
+      await ensureDirectory(PROXY_DIR);
+      const partialPath = `${proxyPath}.partial`;
+      await sharp(await readSourceImage(sourcePath), { failOn: 'none' })
+        .rotate()
+        .resize(PROXY_MAX_SIZE, PROXY_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .toColourspace('srgb')
+        .jpeg({ quality: PROXY_JPEG_QUALITY })
+        .toFile(partialPath);
+      await fsp.rename(partialPath, proxyPath);
+      return proxyPath;
+    })().finally(() => proxyBuilds.delete(key));
+    proxyBuilds.set(key, build);
+  }
+  return proxyBuilds.get(key);
 }
 
-// Default or clamp target points into the valid 0-100 range.
-function normalizeTargetPoint(targetPoint) {
-  if (!targetPoint || typeof targetPoint.x !== 'number' || typeof targetPoint.y !== 'number') {
-    return { x: 50, y: 50 };
+// --- Uploads ---
+// Image ids are file names without their extension, so names are checked against every id already in use.
+async function collectImageIds(dirs) {
+  const ids = new Set();
+  for (const dir of dirs) {
+    const entries = await fsp.readdir(dir).catch(() => []);
+    entries.forEach((fileName) => ids.add(path.parse(fileName).name));
   }
-  return {
-    x: clamp(targetPoint.x, 0, 100),
-    y: clamp(targetPoint.y, 0, 100),
-  };
-}
-
-// Convert transform math into a crop rectangle within the oversampled source.
-function computeCropRect(transform, metrics, scale) {
-  const { translateX, translateY, originX, originY } = transform;
-  const stageWidth = metrics.stageWidth;
-  const stageHeight = metrics.stageHeight;
-  const baseScale = metrics.baseScale;
-
-  const preTransformX = (-translateX - (1 - scale) * originX) / scale;
-  const preTransformY = (-translateY - (1 - scale) * originY) / scale;
-
-  const cropWidthStageSpace = stageWidth / scale;
-  const cropHeightStageSpace = stageHeight / scale;
-
-  let cropLeft = (preTransformX - metrics.offsetX) / baseScale;
-  let cropTop = (preTransformY - metrics.offsetY) / baseScale;
-  let cropWidth = cropWidthStageSpace / baseScale;
-  let cropHeight = cropHeightStageSpace / baseScale;
-
-  const maxLeft = Math.max(0, metrics.naturalWidth - cropWidth);
-  const maxTop = Math.max(0, metrics.naturalHeight - cropHeight);
-  cropLeft = clamp(cropLeft, 0, maxLeft);
-  cropTop = clamp(cropTop, 0, maxTop);
-
-  return { left: cropLeft, top: cropTop, width: cropWidth, height: cropHeight };
+  return ids;
 }
 
-
-// --- Frame Generation ---
-// Render per-frame crops for a single image at the requested motion path.
-async function generateFramesForImage(imageConfig, imageIndex, options = {}) {
-  console.log(` -> Preparing frames for image ${imageIndex}`);
-  const fallbackPath = path.join(IMAGES_DIR, imageConfig.fileName);
-  const candidatePaths = [];
-
-  if (imageConfig.absolutePath) {
-    candidatePaths.push(imageConfig.absolutePath);
-  }
-  if (!candidatePaths.includes(fallbackPath)) {
-    candidatePaths.push(fallbackPath);
-  }
-
-  let imageBuffer = null;
-  let sourcePath = null;
-  for (const candidate of candidatePaths) {
-    try {
-      imageBuffer = await fsp.readFile(candidate);
-      sourcePath = candidate;
-      break;
-    } catch (err) {
-      continue;
-    }
+// Make a client-supplied file name safe to store and give it a free id (`photo.jpg` -> `photo-2.jpg`).
+function pickUploadFileName(originalName, takenIds) {
+  const { name, ext } = path.parse(path.basename(String(originalName || '').replace(/\\/g, '/')));
+  const base = name.replace(/[\x00-\x1f/:*?"<>|]/g, '_').trim() || 'image';
+  let candidate = base;
+  for (let suffix = 2; takenIds.has(candidate); suffix++) {
+    candidate = `${base}-${suffix}`;
   }
+  return `${candidate}${ext.toLowerCase()}`;
+}
 
-  if (!imageBuffer) {
-    throw new Error(`Failed to read image file: ${imageConfig.fileName}`);
-  }
-
-  const sourceSharp = sharp(imageBuffer, { failOn: 'none' });
-  const sourceMetadata = await sourceSharp.metadata();
-  if (!sourceMetadata.width || !sourceMetadata.height) {
-    throw new Error(`Unable to read dimensions for ${imageConfig.fileName}`);
-  }
-
-  const oversample = RENDER_OVERSAMPLE;
-  const workingWidth = Math.max(1, Math.round(sourceMetadata.width * oversample));
-  const workingHeight = Math.max(1, Math.round(sourceMetadata.height * oversample));
-
-  const workingBuffer = oversample === 1
-    ? imageBuffer
-    : await sourceSharp
-        .clone()
-        .resize(workingWidth, workingHeight, {
-          fit: 'fill',
-          kernel: sharp.kernel.lanczos3
-        })
-        .toBuffer();
-
-  const workingSharp = sharp(workingBuffer, { failOn: 'none' });
-  const metrics = buildBaseMetrics(workingWidth, workingHeight);
-
-  const duration = getSafeDuration(imageConfig?.config?.duration);
-  const targetZoom = getSafeZoom(imageConfig?.config?.zoom);
-  const targetPoint = normalizeTargetPoint(imageConfig?.config?.targetPoint);
-  const motionStyle = imageConfig?.config?.motionStyle || 'ping-pong';
-
-  const singleProgressRaw = typeof options.singleProgress === 'number'
-    ? clamp(options.singleProgress, 0, 1)
-    : null;
-  const customOutputPath = typeof options.outputPath === 'string' ? options.outputPath : null;
-
-  const totalFrames = Math.max(2, Math.ceil(duration * FPS));
-
-  const startZoom = motionStyle === 'zoom-out' ? targetZoom : 1;
-  const endZoom = motionStyle === 'zoom-out' ? 1 : targetZoom;
-  const startTransform = getKenBurnsTransform(targetPoint, metrics, startZoom);
-  const endTransform = getKenBurnsTransform(targetPoint, metrics, endZoom);
-  const startRect = computeCropRect(startTransform, metrics, startZoom);
-  const endRect = computeCropRect(endTransform, metrics, endZoom);
-
-  const interpolateRect = (a, b, t) => ({
-    left: a.left + (b.left - a.left) * t,
-    top: a.top + (b.top - a.top) * t,
-    width: a.width + (b.width - a.width) * t,
-    height: a.height + (b.height - a.height) * t,
-  });
-
-  const frameJobs = [];
-  if (singleProgressRaw !== null) {
-    frameJobs.push({
-      normalized: singleProgressRaw,
-      outputPath: customOutputPath || path.join(FRAMES_DIR, `img-${imageIndex}-frame-single.png`),
-    });
-  } else {
-    for (let frame = 0; frame < totalFrames; frame++) {
-      const normalized = totalFrames > 1 ? frame / (totalFrames - 1) : 0;
-      frameJobs.push({
-        normalized,
-        outputPath: path.join(
-          FRAMES_DIR,
-          `img-${imageIndex}-frame-${String(frame).padStart(4, '0')}.png`
-        ),
-      });
-    }
-  }
-
-  console.log(` -> Generating ${frameJobs.length} frame${frameJobs.length === 1 ? '' : 's'} via sharp...`);
-
-  const renderedPaths = [];
-
-  for (const { normalized, outputPath } of frameJobs) {
-    let easedProgress;
-    let zoomStart = startZoom;
-    let zoomEnd = endZoom;
-    let rectStart = startRect;
-    let rectEnd = endRect;
-
-    if (motionStyle === 'ping-pong') {
-      const forward = normalized <= 0.5;
-      const segmentProgress = forward ? normalized / 0.5 : (1 - normalized) / 0.5;
-      easedProgress = easeInOut(segmentProgress);
-      if (!forward) {
-        zoomStart = endZoom;
-        zoomEnd = startZoom;
-        rectStart = endRect;
-        rectEnd = startRect;
-      }
-    } else {
-      easedProgress = easeInOut(normalized);
-    }
-
-    const currentZoom = zoomStart + (zoomEnd - zoomStart) * easedProgress;
-    const cropRect = interpolateRect(rectStart, rectEnd, easedProgress);
-
-    let left = Math.floor(cropRect.left);
-    let top = Math.floor(cropRect.top);
-    let right = Math.ceil(cropRect.left + cropRect.width);
-    let bottom = Math.ceil(cropRect.top + cropRect.height);
-
-    left = clamp(left, 0, Math.max(0, workingWidth - 1));
-    top = clamp(top, 0, Math.max(0, workingHeight - 1));
-    right = clamp(right, left + 1, workingWidth);
-    bottom = clamp(bottom, top + 1, workingHeight);
-
-    const width = Math.max(1, right - left);
-    const height = Math.max(1, bottom - top);
-
-    await workingSharp
-      .clone()
-      .extract({ left, top, width, height })
-      .resize(VIEWPORT_WIDTH, VIEWPORT_HEIGHT, {
-        fit: 'fill',
-        kernel: sharp.kernel.lanczos3
-      })
-      .toFile(outputPath);
-
-    renderedPaths.push(outputPath);
-  }
-
-  console.log(` -> Frame generation complete for image ${imageIndex}`);
-  return renderedPaths;
-}
-
-// --- Video Clip Generation ---
-// Feed the generated PNG frames into FFmpeg to create an individual clip.
-function createClipFromFrames(imageIndex, duration) {
-  const safeDuration = getSafeDuration(duration);
-  const inputPattern = path.join(FRAMES_DIR, `img-${imageIndex}-frame-%04d.png`);
-  const outputPath = path.join(CLIPS_DIR, `clip-${imageIndex}.mp4`);
-
-  async function encodeWithCodec(codec) {
-    return new Promise((resolve, reject) => {
-      console.log(` -> Encoding clip for image ${imageIndex} (${safeDuration}s) using ${codec}`);
-      const command = ffmpeg()
-        .input(inputPattern)
-        .inputOptions([`-framerate ${FPS}`])
-        .videoCodec(codec)
-        .outputOptions([
-          "-pix_fmt", "yuv420p",
-          "-r", String(FPS),
-          "-t", String(safeDuration),
-          ...getCodecOptions(codec)
-        ])
-        .output(outputPath)
-        .on("end", () => {
-          console.log(` -> Finished encoding clip ${imageIndex} using ${codec}`);
-          resolve(outputPath);
-        })
-        .on("error", (err) => {
-          reject(err);
-        });
-      command.run();
-    });
+// sharp must be able to read a staged upload; RAW and HEIC files are left to readSourceImage's fallbacks.
+async function isReadableUpload(file) {
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (RAW_IMAGE_EXTENSIONS.has(ext) || HEIF_IMAGE_EXTENSIONS.has(ext)) {
+    return file.size > 0;
   }
+  const metadata = await sharp(file.path, { failOn: 'none' }).metadata().catch(() => null);
+  return Boolean(metadata?.width && metadata?.height);
+}
 
-  const preferredCodec = USE_NVENC ? NVENC_CODEC : CPU_FALLBACK_CODEC;
-  return encodeWithCodec(preferredCodec).catch(async (err) => {
-    if (USE_NVENC && isCodecUnavailableError(err)) {
-      console.warn(" -> NVENC unavailable, falling back to libx264");
-      return encodeWithCodec(CPU_FALLBACK_CODEC);
-    }
-    console.error(` -> Error encoding clip ${imageIndex}:`, err);
-    throw err;
-  });
+async function discardStagedUploads(files) {
+  await Promise.all(files.map((file) => fsp.rm(file.path, { force: true })));
 }
 
 // --- Final Video Combination ---
-// Chain every clip together, applying fades between neighbors when requested.
+// Chain every clip together, applying each slide's xfade transition into its neighbor,
+// and mix in the project's soundtrack when it has one.
 function combineClips(clipPaths, plan, options = {}) {
   const outputNamePrefix = options.outputNamePrefix || 'ken-burns-effect';
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+  const signal = options.signal || null;
+  const video = options.video || DEFAULT_VIDEO_SETTINGS;
+  const audio = options.audio?.trackPaths?.length ? options.audio : null;
+  const subtitles = options.subtitles?.srtPath ? options.subtitles : null;
   const finalOutputName = `${outputNamePrefix}-${Date.now()}.mp4`;
   const finalOutputPath = path.join(EXPORTS_DIR, finalOutputName);
 
@@ -1457,70 +2569,80 @@ function combineClips(clipPaths, plan, options = {}) {
     return Promise.reject(new Error("No clips were generated to combine."));
   }
 
-  if (clipPaths.length === 1) {
+  if (clipPaths.length === 1 && !audio && !subtitles) {
     return fsp.copyFile(clipPaths[0], finalOutputPath).then(() => finalOutputName);
   }
 
-  const preferredCodec = USE_NVENC ? NVENC_CODEC : CPU_FALLBACK_CODEC;
+  const preferredCodec = getPreferredCodec();
+  const layout = computeTransitionLayout(plan.slice(0, clipPaths.length), video);
+  const expectedOutputDuration = layout.totalDuration;
 
   const buildCommand = (codec) => {
     const command = ffmpeg();
     clipPaths.forEach((inputPath) => command.input(inputPath));
 
     let filterChain = "";
-    let runningOutputDuration = plan.length > 0 ? getSafeDuration(plan[0]?.config?.duration) : 0;
     let lastStream = "[0:v]";
 
     for (let i = 0; i < clipPaths.length - 1; i++) {
-      const currentClipDuration = getSafeDuration(plan[i]?.config?.duration);
-      const nextClipDuration = getSafeDuration(plan[i + 1]?.config?.duration);
-      const rawFade = Number(plan[i]?.config?.fadeDuration);
-      const fadeDuration = clamp(
-        Number.isFinite(rawFade) && rawFade >= 0 ? rawFade : 0.5,
-        0,
-        Math.max(0, Math.min(currentClipDuration, nextClipDuration) - 0.01)
-      );
-
-      const offset = Math.max(0, runningOutputDuration - fadeDuration);
+      const transition = isKnownTransition(plan[i]?.config?.transition) ? plan[i].config.transition : DEFAULT_TRANSITION;
       const nextStream = `[${i + 1}:v]`;
       const outStream = `[v${i + 1}]`;
 
-      filterChain += `${lastStream}${nextStream}xfade=transition=fade:duration=${fadeDuration}:offset=${offset}${outStream};`;
+      filterChain += `${lastStream}${nextStream}xfade=transition=${transition}:duration=${layout.fades[i]}:offset=${layout.offsets[i]}${outStream};`;
       lastStream = outStream;
-      runningOutputDuration += nextClipDuration - fadeDuration;
     }
 
+    if (audio) {
+      audio.trackPaths.forEach((trackPath) => command.input(trackPath));
+      filterChain += buildSoundtrackFilter(audio, clipPaths.length, expectedOutputDuration);
+    }
+    // The SRT sidecar is read back as the last input and stored as an MP4 text track.
+    const subtitleInputIndex = clipPaths.length + (audio ? audio.trackPaths.length : 0);
+    if (subtitles) {
+      command.input(subtitles.srtPath);
+    }
     const trimmedFilterChain = filterChain.endsWith(';') ? filterChain.slice(0, -1) : filterChain;
     const hasFilter = Boolean(trimmedFilterChain && trimmedFilterChain.length);
-    const finalMap = hasFilter ? lastStream : '0:v';
+    const finalMap = clipPaths.length > 1 ? lastStream : '0:v';
     if (hasFilter) {
       command.complexFilter(trimmedFilterChain);
     }
     command.videoCodec(codec);
     command.outputOptions([
       "-map", finalMap,
+      ...(audio ? ["-map", "[aout]", "-c:a", "aac", "-b:a", "192k"] : []),
+      ...(subtitles
+        ? ["-map", `${subtitleInputIndex}:s`, "-c:s", "mov_text", "-metadata:s:s:0", `language=${subtitles.language}`]
+        : []),
       "-pix_fmt", "yuv420p",
-      "-r", String(FPS),
+      "-r", String(video.fps),
       ...getCodecOptions(codec)
     ]);
     command.output(finalOutputPath);
     return command;
   };
 
-  const encodeWithCodec = (codec) => new Promise((resolve, reject) => {
+  const encodeWithCodec = async (codec) => {
     console.log(`Combining ${clipPaths.length} clips into final video with ${codec}...`);
     const command = buildCommand(codec);
-    command
-      .on("end", () => {
-        console.log(`Finished combining clips with ${codec}.`);
-        resolve(finalOutputName);
-      })
-      .on("error", reject)
-      .run();
-  });
+    command.on("progress", (progress) => {
+      const elapsed = parseTimemark(progress?.timemark);
+      if (onProgress && elapsed !== null && expectedOutputDuration > 0) {
+        onProgress(clamp(elapsed / expectedOutputDuration, 0, 1));
+      }
+    });
+    await runCancellableCommand(command, signal);
+    console.log(`Finished combining clips with ${codec}.`);
+    return finalOutputName;
+  };
 
-  return encodeWithCodec(preferredCodec).catch((err) => {
-    if (USE_NVENC && isCodecUnavailableError(err)) {
+  return encodeWithCodec(preferredCodec).catch(async (err) => {
+    if (isRenderCancelledError(err)) {
+      await fsp.rm(finalOutputPath, { force: true });
+      throw err;
+    }
+    if (shouldFallBackToCpu(preferredCodec, err)) {
       console.warn("NVENC unavailable during combine, falling back to libx264.");
       return encodeWithCodec(CPU_FALLBACK_CODEC);
     }
@@ -1530,9 +2652,377 @@ function combineClips(clipPaths, plan, options = {}) {
 }
 
 
+// Audio filter graph for the soundtrack: concatenate the tracks (inputs start at `firstInputIndex`),
+// loop or pad them past the video, cut to `duration`, then apply volume and fades.
+function buildSoundtrackFilter(audio, firstInputIndex, duration) {
+  const labels = audio.trackPaths.map((_, i) => `[music${i}]`);
+  let chain = audio.trackPaths
+    .map((_, i) => `[${firstInputIndex + i}:a]aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo${labels[i]};`)
+    .join('');
+  chain += `${labels.join('')}concat=n=${labels.length}:v=0:a=1[music];`;
+
+  // aloop keeps the decoded soundtrack in memory so it can replay it; size is its sample cap.
+  const filters = [
+    audio.fit === 'loop' ? 'aloop=loop=-1:size=2147483647' : 'apad',
+    `atrim=0:${duration}`,
+    'asetpts=PTS-STARTPTS',
+    `volume=${audio.volume}`
+  ];
+  const fadeIn = Math.min(audio.fadeIn, duration / 2);
+  const fadeOut = Math.min(audio.fadeOut, duration / 2);
+  if (fadeIn > 0) {
+    filters.push(`afade=t=in:st=0:d=${fadeIn}`);
+  }
+  if (fadeOut > 0) {
+    filters.push(`afade=t=out:st=${duration - fadeOut}:d=${fadeOut}`);
+  }
+  return `${chain}[music]${filters.join(',')}[aout];`;
+}
+
+// --- Subtitles ---
+// Text a slide contributes to the subtitle track: its description, else its caption, else a card's text.
+function getSlideSubtitleText(entry) {
+  const description = String(entry?.config?.description || '').trim();
+  if (description) {
+    return description;
+  }
+  const caption = normalizeCaption(entry?.config?.caption);
+  if (caption) {
+    return caption.text.trim();
+  }
+  if (isCardSlide(entry)) {
+    const card = normalizeCard(entry.card);
+    return [card.title, card.subtitle].map((text) => text.trim()).filter(Boolean).join('\n');
+  }
+  return '';
+}
+
+// One cue per slide with text, timed from the same layout the xfade chain uses. Neighbouring cues
+// hand over at the midpoint of the transition between their slides so they never overlap.
+function buildSubtitleCues(plan, video = DEFAULT_VIDEO_SETTINGS) {
+  const layout = computeTransitionLayout(plan, video);
+  const lastIndex = plan.length - 1;
+  return plan
+    .map((entry, index) => ({
+      start: index === 0 ? 0 : layout.offsets[index - 1] + layout.fades[index - 1] / 2,
+      end: index === lastIndex ? layout.totalDuration : layout.offsets[index] + layout.fades[index] / 2,
+      text: getSlideSubtitleText(entry)
+    }))
+    .filter((cue) => cue.text && cue.end > cue.start);
+}
+
+function formatSubtitleTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const secs = Math.floor(totalMs / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+// Blank lines end a cue in both formats, so they are dropped from the cue text.
+function formatCueText(text) {
+  return text.split('\n').map((line) => line.trim()).filter(Boolean).join('\n');
+}
+
+function buildSrt(cues) {
+  // SRT has no escaping, so an arrow in the text is shortened rather than read as a timing line.
+  return cues
+    .map((cue, index) => `${index + 1}\n${formatSubtitleTimestamp(cue.start, ',')} --> ${formatSubtitleTimestamp(cue.end, ',')}\n${formatCueText(cue.text).replace(/-->/g, '->')}\n`)
+    .join('\n');
+}
+
+function buildWebVtt(cues) {
+  // WebVTT treats "-->" in cue text as a timing line and "<"/"&" as markup.
+  const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/-->/g, '--&gt;');
+  const body = cues
+    .map((cue) => `${formatSubtitleTimestamp(cue.start, '.')} --> ${formatSubtitleTimestamp(cue.end, '.')}\n${escape(formatCueText(cue.text))}\n`)
+    .join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+// Write `<base>.srt` and `<base>.vtt` into `dir`; returns their file names, or null when no slide has text.
+async function writeSubtitleFiles(dir, baseName, cues) {
+  if (!cues.length) {
+    return null;
+  }
+  await ensureDirectory(dir);
+  const srt = `${baseName}.srt`;
+  const vtt = `${baseName}.vtt`;
+  await fsp.writeFile(path.join(dir, srt), buildSrt(cues));
+  await fsp.writeFile(path.join(dir, vtt), buildWebVtt(cues));
+  return { srt, vtt };
+}
+
+// --- Soundtrack Analysis ---
+// Offline beat detection for fitting slide durations to music. Audio is decoded by FFmpeg to mono floats and
+// analysed on a coarse grid: onset strength is the rectified rise in log energy between hops, the tempo is the
+// strongest autocorrelation lag (weighted towards 120 BPM), and beats are tracked along that period.
+const ANALYSIS_SAMPLE_RATE = 11025;
+const ANALYSIS_HOP = 128;
+const ANALYSIS_WINDOW = 512;
+const MIN_TEMPO_BPM = 60;
+const MAX_TEMPO_BPM = 180;
+// Shortest slide the fitter will produce, on top of the room each neighbouring fade needs.
+const MIN_FITTED_DURATION = 1;
+// Longest the fit-durations request waits for the soundtrack to decode and analyse.
+const ANALYSIS_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Decode a track to mono floats, killing FFmpeg if the signal aborts.
+function decodeAudioSamples(filePath, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createRenderCancelledError());
+      return;
+    }
+    const chunks = [];
+    const handleAbort = () => killCommand(command);
+    const command = ffmpeg(filePath)
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(ANALYSIS_SAMPLE_RATE)
+      .format("f32le")
+      .on("error", (err) => {
+        signal?.removeEventListener('abort', handleAbort);
+        reject(signal?.aborted ? createRenderCancelledError() : err);
+      });
+    signal?.addEventListener('abort', handleAbort, { once: true });
+    const stream = command.pipe();
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.on("end", () => {
+      signal?.removeEventListener('abort', handleAbort);
+      if (signal?.aborted) {
+        reject(createRenderCancelledError());
+        return;
+      }
+      const buffer = Buffer.concat(chunks);
+      const samples = new Float32Array(Math.floor(buffer.length / 4));
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = buffer.readFloatLE(i * 4);
+      }
+      resolve(samples);
+    });
+  });
+}
+
+// Decode the soundtrack tracks back to back and detect its length, onsets, tempo and beat times (seconds).
+async function analyzeSoundtrack(trackPaths, signal) {
+  const decoded = [];
+  for (const trackPath of trackPaths) {
+    decoded.push(await decodeAudioSamples(trackPath, signal));
+  }
+  const samples = new Float32Array(decoded.reduce((sum, part) => sum + part.length, 0));
+  let cursor = 0;
+  decoded.forEach((part) => {
+    samples.set(part, cursor);
+    cursor += part.length;
+  });
+  return analyzeSamples(samples);
+}
+
+// Detect the length, onsets, tempo and beat times (seconds) of mono samples at ANALYSIS_SAMPLE_RATE.
+function analyzeSamples(samples) {
+  const envelope = computeOnsetEnvelope(samples);
+  // Energy rises as a sound enters the window, so an envelope frame is timed at its window's leading edge.
+  const toSeconds = (frame) => (frame * ANALYSIS_HOP + ANALYSIS_WINDOW) / ANALYSIS_SAMPLE_RATE;
+  const period = estimateBeatPeriod(envelope);
+  const beatFrames = period ? trackBeats(envelope, period) : [];
+
+  return {
+    duration: samples.length / ANALYSIS_SAMPLE_RATE,
+    tempo: period ? Math.round((60 / (period * ANALYSIS_HOP / ANALYSIS_SAMPLE_RATE)) * 10) / 10 : null,
+    beats: beatFrames.map(toSeconds),
+    onsets: pickOnsets(envelope).map(toSeconds)
+  };
+}
+
+function computeOnsetEnvelope(samples) {
+  const frameCount = Math.max(0, Math.floor((samples.length - ANALYSIS_WINDOW) / ANALYSIS_HOP) + 1);
+  const flux = new Float32Array(frameCount);
+  let previousLevel = 0;
+  for (let k = 0; k < frameCount; k++) {
+    const start = k * ANALYSIS_HOP;
+    let energy = 0;
+    for (let j = 0; j < ANALYSIS_WINDOW; j++) {
+      energy += samples[start + j] * samples[start + j];
+    }
+    const level = Math.log1p((1000 * energy) / ANALYSIS_WINDOW);
+    flux[k] = k > 0 ? Math.max(0, level - previousLevel) : 0;
+    previousLevel = level;
+  }
+
+  // Subtract a ~0.4s moving average so sustained loud passages don't read as onsets.
+  const radius = Math.round((0.2 * ANALYSIS_SAMPLE_RATE) / ANALYSIS_HOP);
+  const prefix = new Float64Array(frameCount + 1);
+  for (let k = 0; k < frameCount; k++) {
+    prefix[k + 1] = prefix[k] + flux[k];
+  }
+  const envelope = new Float32Array(frameCount);
+  for (let k = 0; k < frameCount; k++) {
+    const from = Math.max(0, k - radius);
+    const to = Math.min(frameCount, k + radius + 1);
+    envelope[k] = Math.max(0, flux[k] - (prefix[to] - prefix[from]) / (to - from));
+  }
+  return envelope;
+}
+
+// Beat period in envelope frames, or null when the track has no usable pulse.
+function estimateBeatPeriod(envelope) {
+  const hopSeconds = ANALYSIS_HOP / ANALYSIS_SAMPLE_RATE;
+  const minLag = Math.max(1, Math.round(60 / MAX_TEMPO_BPM / hopSeconds));
+  const maxLag = Math.round(60 / MIN_TEMPO_BPM / hopSeconds);
+  let bestLag = null;
+  let bestScore = 0;
+  for (let lag = minLag; lag <= maxLag && lag < envelope.length; lag++) {
+    let sum = 0;
+    for (let k = 0; k + lag < envelope.length; k++) {
+      sum += envelope[k] * envelope[k + lag];
+    }
+    const bpm = 60 / (lag * hopSeconds);
+    const weight = Math.exp(-0.5 * Math.log2(bpm / 120) ** 2);
+    const score = (sum / (envelope.length - lag)) * weight;
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+  return bestLag;
+}
+
+// Pick the strongest phase for the period, then follow the beat, letting each one drift up to 10% of a period.
+function trackBeats(envelope, period) {
+  let phase = 0;
+  let phaseScore = -1;
+  for (let offset = 0; offset < period; offset++) {
+    let score = 0;
+    for (let k = offset; k < envelope.length; k += period) {
+      score += envelope[k];
+    }
+    if (score > phaseScore) {
+      phaseScore = score;
+      phase = offset;
+    }
+  }
+
+  const slack = Math.max(1, Math.round(period * 0.1));
+  const beats = [];
+  let expected = phase;
+  while (expected < envelope.length) {
+    let best = expected;
+    let bestValue = 0;
+    for (let k = Math.max(0, expected - slack); k <= Math.min(envelope.length - 1, expected + slack); k++) {
+      const value = envelope[k] * (1 - (0.5 * Math.abs(k - expected)) / slack);
+      if (value > bestValue) {
+        bestValue = value;
+        best = k;
+      }
+    }
+    beats.push(best);
+    expected = best + period;
+  }
+  return beats;
+}
+
+// Local envelope peaks that stand out from the track's average, at least 100ms apart.
+function pickOnsets(envelope) {
+  if (!envelope.length) {
+    return [];
+  }
+  const mean = envelope.reduce((sum, value) => sum + value, 0) / envelope.length;
+  const deviation = Math.sqrt(envelope.reduce((sum, value) => sum + (value - mean) ** 2, 0) / envelope.length);
+  const threshold = mean + deviation;
+  const radius = Math.max(1, Math.round((0.05 * ANALYSIS_SAMPLE_RATE) / ANALYSIS_HOP));
+  const onsets = [];
+  for (let k = 0; k < envelope.length; k++) {
+    if (envelope[k] <= threshold) {
+      continue;
+    }
+    let isPeak = true;
+    for (let j = Math.max(0, k - radius); j <= Math.min(envelope.length - 1, k + radius); j++) {
+      if (envelope[j] > envelope[k]) {
+        isPeak = false;
+        break;
+      }
+    }
+    if (isPeak && (!onsets.length || k - onsets[onsets.length - 1] > radius * 2)) {
+      onsets.push(k);
+    }
+  }
+  return onsets;
+}
+
+// Redistribute slide durations so the middle of every transition lands on a beat and the combined video,
+// laid out by computeTransitionLayout, ends with the soundtrack. Each slide keeps its share of the running
+// time as the starting point and the nearest beat that still leaves every slide room for its fades wins.
+function fitDurationsToBeats(plan, analysis, video = DEFAULT_VIDEO_SETTINGS) {
+  const frame = 1 / video.fps;
+  const toFrameTime = (seconds) => Math.round(seconds * video.fps) / video.fps;
+  const total = toFrameTime(analysis.duration);
+  const count = plan.length;
+  const fades = plan.slice(0, -1).map((entry) => toFrameTime(getRequestedFade(entry?.config?.fadeDuration)));
+  const fadeAt = (i) => (i >= 0 && i < fades.length ? fades[i] : 0);
+  const minDurations = plan.map((_, i) => Math.max(MIN_FITTED_DURATION, fadeAt(i - 1) + frame, fadeAt(i) + frame));
+
+  if (count === 1) {
+    if (total < minDurations[0]) {
+      throw new Error(`The soundtrack is only ${total.toFixed(1)}s long.`);
+    }
+    return [total];
+  }
+
+  // Slide i runs from the middle of transition i-1 to the middle of transition i, plus half of each fade.
+  const minGaps = plan.slice(0, -1).map((_, i) => minDurations[i] - fadeAt(i) / 2 - fadeAt(i - 1) / 2);
+  const lower = [];
+  minGaps.forEach((gap, i) => lower.push((i > 0 ? lower[i - 1] : 0) + gap));
+  const upper = new Array(count - 1);
+  upper[count - 2] = total + fadeAt(count - 2) / 2 - minDurations[count - 1];
+  for (let i = count - 3; i >= 0; i--) {
+    upper[i] = upper[i + 1] - minGaps[i + 1];
+  }
+  if (lower[count - 2] > upper[count - 2]) {
+    throw new Error(`The soundtrack (${total.toFixed(1)}s) is too short to fit ${count} slides.`);
+  }
+
+  const current = computeTransitionLayout(plan, video);
+  const scale = current.totalDuration > 0 ? total / current.totalDuration : 1;
+  const midpoints = [];
+  let beatIndex = 0;
+  for (let i = 0; i < count - 1; i++) {
+    const low = Math.max(lower[i], i > 0 ? midpoints[i - 1] + minGaps[i] : lower[i]);
+    const high = upper[i];
+    const ideal = clamp((current.offsets[i] + current.fades[i] / 2) * scale, low, high);
+    // Beats within half a frame of a bound still count; durations are rounded to frames afterwards anyway.
+    while (beatIndex < analysis.beats.length && analysis.beats[beatIndex] < low - frame / 2) {
+      beatIndex += 1;
+    }
+    let nearestBeat = null;
+    for (let b = beatIndex; b < analysis.beats.length && analysis.beats[b] <= high + frame / 2; b++) {
+      if (nearestBeat === null || Math.abs(analysis.beats[b] - ideal) < Math.abs(nearestBeat - ideal)) {
+        nearestBeat = analysis.beats[b];
+      }
+    }
+    midpoints.push(nearestBeat === null ? ideal : clamp(nearestBeat, low, high));
+  }
+
+  // Convert transition midpoints back into the running sums of slide durations.
+  const durations = [];
+  let fadeSum = 0;
+  let previousEnd = 0;
+  for (let i = 0; i < count - 1; i++) {
+    fadeSum += fades[i];
+    const end = toFrameTime(midpoints[i] + fadeSum - fades[i] / 2);
+    durations.push(end - previousEnd);
+    previousEnd = end;
+  }
+  durations.push(total + fadeSum - previousEnd);
+  // Truncate to the millisecond: clips round durations up to whole frames (getClipFrameCount), so rounding up
+  // here could add a frame to a slide. The epsilon keeps a whole-frame sum such as 0.99999... at 1.
+  return durations.map((duration) => Math.floor(Math.max(duration, frame) * 1000 + 1e-6) / 1000);
+}
+
 // --- Static file serving for images ---
 // Allow direct access to original source images.
-app.use("/images", express.static(IMAGES_DIR));
+app.use("/images", serveImageProxies(IMAGES_DIR), express.static(IMAGES_DIR));
 
 // --- Fallback to index.html for client-side routing ---
 // Let the React router handle every other request.
@@ -1540,12 +3030,194 @@ app.get("*", (req, res) => {
   res.sendFile(path.join(PUBLIC_DIR, "index.html"));
 });
 
+// --- Parallel Clip Rendering ---
+// Slides are independent until combineClips, so each one renders in its own worker thread.
+// Workers run render-worker.js, which loads only the rendering helpers from render.js.
+function spawnClipWorker(workspace, task, options = {}) {
+  const signal = options.signal || null;
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(RENDER_WORKER_PATH, {
+      workerData: {
+        workspace,
+        imageConfig: task.imageConfig,
+        imageIndex: task.index,
+        video: options.video,
+        nvencUnavailable: isNvencUnavailable()
+      }
+    });
+    let outcome = null;
+
+    const handleAbort = () => worker.postMessage({ type: 'cancel' });
+    if (signal) {
+      if (signal.aborted) {
+        handleAbort();
+      } else {
+        signal.addEventListener('abort', handleAbort, { once: true });
+      }
+    }
+
+    worker.on('message', (message) => {
+      if (message?.nvencUnavailable) {
+        markNvencUnavailable();
+      }
+      if (message?.type === 'progress') {
+        if (onProgress) {
+          onProgress(message.patch);
+        }
+      } else if (message?.type === 'done' || message?.type === 'error') {
+        outcome = message;
+      }
+    });
+    worker.on('error', (err) => {
+      outcome = { type: 'error', message: err?.message || String(err) };
+    });
+    worker.on('exit', (exitCode) => {
+      if (signal) {
+        signal.removeEventListener('abort', handleAbort);
+      }
+      if (outcome?.type === 'done') {
+        resolve(outcome.clipPath);
+      } else if (outcome?.code === 'RENDER_CANCELLED' || (!outcome && signal?.aborted)) {
+        reject(createRenderCancelledError());
+      } else {
+        reject(new Error(outcome?.message || `Clip worker for image ${task.index} exited with code ${exitCode}.`));
+      }
+    });
+  });
+}
+
+// Rough peak memory for one clip: the decoded source, the oversampled working copy
+// (held by sharp and again while cropping) and a handful of viewport-sized frame buffers.
+async function estimateClipMemory(imageConfig, video = DEFAULT_VIDEO_SETTINGS) {
+  const baseBytes = 64 * 1024 * 1024;
+  const viewportBytes = video.width * video.height * 4 * RENDER_OVERSAMPLE * RENDER_OVERSAMPLE * 4;
+  if (isCardSlide(imageConfig)) {
+    // Cards are drawn at the output size.
+    const sourceBytes = video.width * video.height * 4;
+    return baseBytes + viewportBytes + sourceBytes + sourceBytes * RENDER_OVERSAMPLE * RENDER_OVERSAMPLE * 2;
+  }
+  const candidates = [imageConfig.absolutePath, path.join(IMAGES_DIR, imageConfig.fileName)].filter(Boolean);
+  for (const candidate of candidates) {
+    try {
+      const { width, height } = getOrientedSize(await sharp(candidate, { failOn: 'none' }).metadata());
+      if (width && height) {
+        const sourceBytes = width * height * 4;
+        const workingBytes = sourceBytes * RENDER_OVERSAMPLE * RENDER_OVERSAMPLE * 2;
+        // Contain framing adds a frame-shaped canvas around the working image.
+        const framing = FRAMING_MODES.includes(imageConfig.config?.framing) ? imageConfig.config.framing : DEFAULT_FRAMING;
+        const surface = getMotionSurface(buildBaseMetrics(width, height, video, framing), framing);
+        const canvasBytes = framing === 'cover'
+          ? 0
+          : surface.naturalWidth * surface.naturalHeight * 3 * RENDER_OVERSAMPLE * RENDER_OVERSAMPLE;
+        return baseBytes + viewportBytes + sourceBytes + workingBytes + canvasBytes;
+      }
+    } catch (err) {
+      continue;
+    }
+  }
+  // Unknown size: claim the whole budget so the clip renders on its own.
+  return RENDER_MEMORY_BUDGET_BYTES;
+}
+
+// Render clips with up to RENDER_CONCURRENCY workers while keeping the summed memory
+// estimate under RENDER_MEMORY_BUDGET_BYTES. A clip always starts when nothing else is
+// running, even if it alone exceeds the budget. The first failure cancels the rest.
+async function renderClipsInParallel(workspace, tasks, options = {}) {
+  const outerSignal = options.signal || null;
+  const onStart = typeof options.onStart === 'function' ? options.onStart : null;
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
+  const onClipDone = typeof options.onClipDone === 'function' ? options.onClipDone : null;
+  const video = options.video || DEFAULT_VIDEO_SETTINGS;
+
+  throwIfRenderCancelled(outerSignal);
+  const poolController = new AbortController();
+  const abortPool = () => poolController.abort();
+  if (outerSignal) {
+    outerSignal.addEventListener('abort', abortPool, { once: true });
+  }
+
+  const estimates = [];
+  for (const task of tasks) {
+    estimates.push(await estimateClipMemory(task.imageConfig, video));
+  }
+
+  const results = new Map();
+  const running = new Set();
+  let nextTask = 0;
+  let reservedBytes = 0;
+  let firstError = null;
+
+  const launch = (taskPosition) => {
+    const task = tasks[taskPosition];
+    const estimate = estimates[taskPosition];
+    reservedBytes += estimate;
+    if (onStart) {
+      onStart(task);
+    }
+    const run = spawnClipWorker(workspace, task, {
+      video,
+      signal: poolController.signal,
+      onProgress: onProgress ? (patch) => onProgress(task, patch) : null
+    })
+      .then(async (clipPath) => {
+        results.set(task.index, clipPath);
+        if (onClipDone) {
+          await onClipDone(task, clipPath);
+        }
+      })
+      .catch((error) => {
+        if (!firstError) {
+          firstError = error;
+          poolController.abort();
+        }
+      })
+      .finally(() => {
+        reservedBytes -= estimate;
+        running.delete(run);
+      });
+    running.add(run);
+  };
+
+  try {
+    while (nextTask < tasks.length || running.size > 0) {
+      while (
+        !firstError &&
+        !poolController.signal.aborted &&
+        nextTask < tasks.length &&
+        running.size < RENDER_CONCURRENCY &&
+        (running.size === 0 || reservedBytes + estimates[nextTask] <= RENDER_MEMORY_BUDGET_BYTES)
+      ) {
+        launch(nextTask);
+        nextTask += 1;
+      }
+      if (running.size === 0) {
+        break;
+      }
+      await Promise.race(running);
+    }
+  } finally {
+    if (outerSignal) {
+      outerSignal.removeEventListener('abort', abortPool);
+    }
+  }
+
+  throwIfRenderCancelled(outerSignal);
+  if (firstError) {
+    throw firstError;
+  }
+  return results;
+}
+
 // --- Server Start ---
 // Ensure directories exist and start listening for requests.
 async function startServer() {
   try {
     await ensureDirectory(EXPORTS_DIR);
     await ensureDirectory(OUTPUT_DIR);
+    await ensureDirectory(TEMP_DIR);
+    await cleanupStaleWorkspaces();
     if (!fileExistsSync(IMAGES_DIR)) {
       await ensureDirectory(IMAGES_DIR);
     }
@@ -1562,6 +3234,27 @@ async function startServer() {
   }
 }
 
-startServer();
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  app,
+  ANALYSIS_SAMPLE_RATE,
+  MIN_FITTED_DURATION,
+  decodeAudioSamples,
+  analyzeSamples,
+  fitDurationsToBeats,
+  buildSubtitleCues,
+  buildSrt,
+  buildWebVtt,
+  writeSubtitleFiles,
+  CLIP_RENDER_FIELDS,
+  computeClipKey,
+  getClipState,
+  shouldReuseClip,
+  pickUploadFileName,
+  isReadableUpload
+};
 
 
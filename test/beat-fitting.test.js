@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { computeTransitionLayout } = require("../render");
+const {
+  ANALYSIS_SAMPLE_RATE,
+  MIN_FITTED_DURATION,
+  decodeAudioSamples,
+  analyzeSamples,
+  fitDurationsToBeats
+} = require("../server");
+
+const video = { width: 1280, height: 720, fps: 30 };
+const slide = (duration, fadeDuration = 0) => ({ config: { duration, fadeDuration } });
+const withDurations = (plan, durations) => plan.map((entry, index) => ({ config: { ...entry.config, duration: durations[index] } }));
+const transitionMidpoints = (layout) => layout.offsets.map((offset, index) => offset + layout.fades[index] / 2);
+const beatsEvery = (period, duration) => Array.from({ length: Math.floor(duration / period) }, (_, index) => (index + 1) * period);
+
+test('transitions land on the nearest beat and the video ends with the soundtrack', () => {
+  const plan = [slide(3, 0.5), slide(3, 0.5), slide(3, 0.5), slide(3)];
+  const analysis = { duration: 12, beats: beatsEvery(0.7, 12) };
+  const layout = computeTransitionLayout(withDurations(plan, fitDurationsToBeats(plan, analysis, video)), video);
+
+  // The evenly spread midpoints sit at 3s, 6s and 9s; the closest beats are 2.8s, 6.3s and 9.1s. A 15-frame
+  // fade has its middle between two frames, so a midpoint can only get within a frame of its beat.
+  transitionMidpoints(layout).forEach((midpoint, index) => {
+    assert.ok(Math.abs(midpoint - [2.8, 6.3, 9.1][index]) <= 1 / 30, `transition ${index} at ${midpoint}s`);
+  });
+  assert.ok(Math.abs(layout.totalDuration - 12) <= 1 / 60);
+});
+
+test('slides keep their share of the running time as the starting point', () => {
+  const plan = [slide(2), slide(4), slide(2)];
+  const durations = fitDurationsToBeats(plan, { duration: 16, beats: beatsEvery(1, 16) }, video);
+
+  assert.deepEqual(durations, [4, 8, 4]);
+});
+
+test('beats that would squeeze a slide below the minimum are skipped', () => {
+  const plan = [slide(1, 0.5), slide(1, 0.5), slide(6)];
+  // Beats crowd the start, so the nearest ones to the ideal cuts would leave the middle slide almost nothing.
+  const analysis = { duration: 8, beats: [0.5, 0.6, 0.7, 0.8, 0.9, 7.5] };
+  const durations = fitDurationsToBeats(plan, analysis, video);
+
+  durations.forEach((duration, index) => {
+    assert.ok(duration >= MIN_FITTED_DURATION, `slide ${index} lasts ${duration}s`);
+  });
+  const layout = computeTransitionLayout(withDurations(plan, durations), video);
+  assert.ok(Math.abs(layout.totalDuration - 8) <= 1 / 60);
+});
+
+test('without beats the durations are scaled to the soundtrack', () => {
+  const plan = [slide(1), slide(3), slide(2)];
+  const durations = fitDurationsToBeats(plan, { duration: 12, beats: [] }, video);
+
+  assert.deepEqual(durations, [2, 6, 4]);
+});
+
+test('a single slide lasts as long as the soundtrack', () => {
+  assert.deepEqual(fitDurationsToBeats([slide(3)], { duration: 7.5, beats: [1, 2] }, video), [7.5]);
+});
+
+test('a soundtrack too short for the slides is rejected', () => {
+  assert.throws(() => fitDurationsToBeats([slide(3)], { duration: 0.4, beats: [] }, video), /only 0\.4s long/);
+  assert.throws(
+    () => fitDurationsToBeats([slide(3), slide(3), slide(3)], { duration: 2.5, beats: [] }, video),
+    /too short to fit 3 slides/
+  );
+});
+
+test('beats are tracked on a click track', () => {
+  // A short burst every half second is 120 BPM.
+  const samples = new Float32Array(ANALYSIS_SAMPLE_RATE * 10);
+  for (let beat = 0.5; beat < 10; beat += 0.5) {
+    const start = Math.round(beat * ANALYSIS_SAMPLE_RATE);
+    for (let i = 0; i < 200; i++) {
+      samples[start + i] = Math.sin(i / 3) * (1 - i / 200);
+    }
+  }
+  const analysis = analyzeSamples(samples);
+
+  assert.equal(analysis.duration, 10);
+  assert.ok(Math.abs(analysis.tempo - 120) <= 3, `tempo ${analysis.tempo}`);
+  assert.ok(analysis.beats.length >= 15, `${analysis.beats.length} beats`);
+  analysis.beats.forEach((beat) => {
+    const offBeat = Math.abs(beat - Math.round(beat * 2) / 2);
+    assert.ok(offBeat <= 0.05, `beat at ${beat}s`);
+  });
+});
+
+test('decoding stops before FFmpeg starts when the signal has already aborted', async () => {
+  const abortController = new AbortController();
+  abortController.abort();
+
+  await assert.rejects(decodeAudioSamples("missing.mp3", abortController.signal), { code: "RENDER_CANCELLED" });
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const fsp = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { CLIP_RENDER_FIELDS, computeClipKey, getClipState, shouldReuseClip } = require("../server");
+
+const video = { width: 1280, height: 720, fps: 30 };
+const baseConfig = {
+  duration: 4,
+  zoom: 1.2,
+  targetPoint: { x: 0.5, y: 0.5 },
+  motionStyle: "zoom-in",
+  easing: "ease-in-out",
+  easingCurve: null,
+  keyframes: null,
+  arrow: null,
+  caption: null,
+  framing: "fill",
+  framingColor: "#000000",
+  transition: "fade",
+  fadeDuration: 0.5,
+  description: "Harbour at dawn"
+};
+
+async function createSlide(t, contents = "image bytes") {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), "kb-clip-key-"));
+  t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+  const absolutePath = path.join(dir, "slide.png");
+  await fsp.writeFile(absolutePath, contents);
+  return { id: "slide", fileName: "slide.png", absolutePath, config: { ...baseConfig } };
+}
+
+const withConfig = (entry, patch) => ({ ...entry, config: { ...entry.config, ...patch } });
+
+test('every setting that changes the frames changes the clip key', async (t) => {
+  const entry = await createSlide(t);
+  const key = await computeClipKey(entry, video);
+
+  for (const field of CLIP_RENDER_FIELDS) {
+    assert.notEqual(await computeClipKey(withConfig(entry, { [field]: "edited" }), video), key, field);
+  }
+  assert.notEqual(await computeClipKey(entry, { ...video, width: 1920, height: 1080 }), key, "video size");
+  assert.notEqual(await computeClipKey(entry, { ...video, fps: 24 }), key, "frame rate");
+
+  await fsp.writeFile(entry.absolutePath, "edited image bytes");
+  assert.notEqual(await computeClipKey(entry, video), key, "image bytes");
+});
+
+test('render oversampling is part of the clip key', async (t) => {
+  const entry = await createSlide(t);
+  const script = `require("./server").computeClipKey(${JSON.stringify(entry)}, ${JSON.stringify(video)}).then((key) => process.stdout.write(key));`;
+  const keyAt = (oversample) => execFileSync(process.execPath, ["-e", script], {
+    cwd: path.join(__dirname, ".."),
+    env: { ...process.env, RENDER_OVERSAMPLE: String(oversample) },
+    encoding: "utf8"
+  });
+
+  assert.notEqual(keyAt(3), keyAt(2));
+});
+
+test('transitions, fades and subtitle text keep the clip key', async (t) => {
+  const entry = await createSlide(t);
+  const key = await computeClipKey(entry, video);
+
+  assert.equal(await computeClipKey(withConfig(entry, { transition: "wipeleft" }), video), key);
+  assert.equal(await computeClipKey(withConfig(entry, { fadeDuration: 1.5 }), video), key);
+  assert.equal(await computeClipKey(withConfig(entry, { description: "Harbour at dusk" }), video), key);
+  // Moving or renaming a slide keeps its clip too.
+  assert.equal(await computeClipKey({ ...entry, id: "moved", fileName: "renamed.png" }, video), key);
+});
+
+test('changed mode only renders new and edited slides', async (t) => {
+  const projectDir = await fsp.mkdtemp(path.join(os.tmpdir(), "kb-clip-state-"));
+  t.after(() => fsp.rm(projectDir, { recursive: true, force: true }));
+  await fsp.mkdir(path.join(projectDir, "clips"));
+  const unchanged = await createSlide(t, "unchanged");
+  const edited = await createSlide(t, "edited");
+  const unchangedKey = await computeClipKey(unchanged, video);
+  const previousKey = await computeClipKey(edited, video);
+  await fsp.writeFile(path.join(projectDir, "clips", `clip-${unchangedKey}.mp4`), "clip");
+  await fsp.writeFile(path.join(projectDir, "clips", `clip-${previousKey}.mp4`), "clip");
+
+  const states = [
+    await getClipState(projectDir, unchangedKey, { clipKey: unchangedKey, clipFile: `clips/clip-${unchangedKey}.mp4` }),
+    await getClipState(projectDir, await computeClipKey(withConfig(edited, { zoom: 1.5 }), video), { clipKey: previousKey, clipFile: `clips/clip-${previousKey}.mp4` }),
+    await getClipState(projectDir, await computeClipKey(await createSlide(t, "new"), video), undefined)
+  ];
+  assert.deepEqual(states, ["fresh", "stale", "missing"]);
+
+  const reused = (renderMode) => states.map((state) => shouldReuseClip(state, renderMode));
+  assert.deepEqual(reused("changed"), [true, false, false]);
+  assert.deepEqual(reused("missing"), [true, true, false]);
+  assert.deepEqual(reused("all"), [false, false, false]);
+});
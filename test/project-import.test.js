@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const fsp = fs.promises;
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+const tar = require("tar");
+const { app } = require("../server");
+
+const OUTPUT_DIR = path.join(__dirname, "..", "output");
+
+// Pack `files` (name -> contents) plus a one-slide images folder into a bundle and import it as `name`.
+async function importBundle(server, name, manifest, files = {}) {
+  const sourceDir = await fsp.mkdtemp(path.join(os.tmpdir(), "kb-bundle-"));
+  try {
+    await fsp.mkdir(path.join(sourceDir, "images"));
+    await sharp({ create: { width: 32, height: 24, channels: 3, background: "#336699" } })
+      .png()
+      .toFile(path.join(sourceDir, "images", "slide.png"));
+    await fsp.writeFile(path.join(sourceDir, "manifest.json"), JSON.stringify(manifest));
+    for (const [fileName, contents] of Object.entries(files)) {
+      await fsp.writeFile(path.join(sourceDir, fileName), contents);
+    }
+    const bundlePath = path.join(sourceDir, "project.kbproject.tgz");
+    await tar.c({ gzip: true, file: bundlePath, cwd: sourceDir }, ["manifest.json", "images", ...Object.keys(files)]);
+
+    const form = new FormData();
+    form.append("name", name);
+    form.append("bundle", new Blob([await fsp.readFile(bundlePath)]), "project.kbproject.tgz");
+    const { port } = server.address();
+    const response = await fetch(`http://127.0.0.1:${port}/api/projects/import`, { method: "POST", body: form });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    await fsp.rm(sourceDir, { recursive: true, force: true });
+  }
+}
+
+const baseManifest = {
+  name: "Bundle",
+  images: [{ id: "slide", fileName: "slide.png", imagePath: "images/slide.png", config: { duration: 2 } }]
+};
+
+test('bundle import keeps the final video and subtitles inside the project', async (t) => {
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  const slugs = [];
+  t.after(async () => {
+    server.close();
+    await Promise.all(slugs.map((slug) => fsp.rm(path.join(OUTPUT_DIR, slug), { recursive: true, force: true })));
+  });
+
+  // Bundles unpack into temp/uploads/<staging>, so three levels up is the repository root.
+  await t.test('a final video outside the bundle is dropped', async () => {
+    const slug = `import-escape-${process.pid}`;
+    slugs.push(slug);
+    const { status, body } = await importBundle(server, slug, {
+      ...baseManifest,
+      finalVideo: { fileName: "package.json", path: "../../../package.json", subtitles: { srt: "../../../README.md" } }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.manifest.finalVideo, null);
+    const saved = JSON.parse(await fsp.readFile(path.join(OUTPUT_DIR, slug, "manifest.json"), "utf8"));
+    assert.equal(saved.finalVideo, null);
+  });
+
+  await t.test('subtitle paths outside the bundle are dropped from a bundled final video', async () => {
+    const slug = `import-subtitles-${process.pid}`;
+    slugs.push(slug);
+    const { status, body } = await importBundle(server, slug, {
+      ...baseManifest,
+      finalVideo: { fileName: "bundle-1.mp4", path: "bundle-1.mp4", subtitles: { srt: "../../../README.md", vtt: "bundle-1.vtt" } }
+    }, { "bundle-1.mp4": "video", "bundle-1.vtt": "WEBVTT\n" });
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      { path: body.manifest.finalVideo.path, subtitles: body.manifest.finalVideo.subtitles },
+      { path: "bundle-1.mp4", subtitles: { srt: null, vtt: "bundle-1.vtt" } }
+    );
+  });
+
+  await t.test('a final video inside a bundle folder is dropped', async () => {
+    const slug = `import-nested-${process.pid}`;
+    slugs.push(slug);
+    const { status, body } = await importBundle(server, slug, {
+      ...baseManifest,
+      finalVideo: { fileName: "slide.png", path: "images/slide.png" }
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.manifest.finalVideo, null);
+  });
+});
@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fsp = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { buildSubtitleCues, buildSrt, buildWebVtt, writeSubtitleFiles } = require("../server");
+
+const video = { width: 1280, height: 720, fps: 30 };
+const slide = (duration, config = {}) => ({ config: { duration, fadeDuration: 0, ...config } });
+
+test('timestamps count hours, minutes, seconds and milliseconds', () => {
+  const cues = [{ start: 0, end: 1.5 }, { start: 61.0004, end: 3723.4566 }].map((cue) => ({ ...cue, text: "Text" }));
+
+  assert.equal(buildSrt(cues), "1\n00:00:00,000 --> 00:00:01,500\nText\n\n2\n00:01:01,000 --> 01:02:03,457\nText\n");
+  assert.equal(buildWebVtt(cues), "WEBVTT\n\n00:00:00.000 --> 00:00:01.500\nText\n\n00:01:01.000 --> 01:02:03.457\nText\n");
+});
+
+test('cue text cannot end a cue or start a timing line early', () => {
+  const cues = [{ start: 0, end: 2, text: "Fish & chips <b>\n\n  then --> dessert  " }];
+
+  assert.equal(buildSrt(cues), "1\n00:00:00,000 --> 00:00:02,000\nFish & chips <b>\nthen -> dessert\n");
+  assert.equal(buildWebVtt(cues), "WEBVTT\n\n00:00:00.000 --> 00:00:02.000\nFish &amp; chips &lt;b>\nthen --&gt; dessert\n");
+});
+
+test('slides without text get no cue and their neighbours hand over mid-transition', () => {
+  const plan = [
+    slide(2, { description: "Harbour", fadeDuration: 1 }),
+    slide(2, { description: "   ", fadeDuration: 1 }),
+    slide(2, { caption: { text: "Lighthouse" } }),
+    { kind: "card", card: { title: "The End", subtitle: "" }, config: { duration: 2, fadeDuration: 0 } }
+  ];
+
+  assert.deepEqual(buildSubtitleCues(plan, video), [
+    { start: 0, end: 1.5, text: "Harbour" },
+    { start: 2.5, end: 4, text: "Lighthouse" },
+    { start: 4, end: 6, text: "The End" }
+  ]);
+});
+
+test('subtitle files are only written when a slide has text', async (t) => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), "kb-subtitles-"));
+  t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+
+  assert.equal(await writeSubtitleFiles(dir, "video", buildSubtitleCues([slide(2)], video)), null);
+  assert.deepEqual(await fsp.readdir(dir), []);
+
+  const files = await writeSubtitleFiles(dir, "video", [{ start: 0, end: 2, text: "Harbour" }]);
+  assert.deepEqual(files, { srt: "video.srt", vtt: "video.vtt" });
+  assert.equal(await fsp.readFile(path.join(dir, "video.vtt"), "utf8"), "WEBVTT\n\n00:00:00.000 --> 00:00:02.000\nHarbour\n");
+});
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { computeTransitionLayout, getClipFrameCount } = require("../render");
+
+const slide = (duration, fadeDuration) => ({ config: { duration, fadeDuration } });
+const toFrames = (seconds, fps) => Math.round(seconds * fps);
+
+test('offsets start each fade where the clips encoded so far end', () => {
+  const video = { width: 1280, height: 720, fps: 30 };
+  const layout = computeTransitionLayout([slide(1.01, 0.5), slide(2, 0.5), slide(1.5)], video);
+
+  // 1.01s is 30.3 frames, encoded as 31.
+  assert.deepEqual(layout.durations.map((seconds) => toFrames(seconds, 30)), [31, 60, 45]);
+  assert.deepEqual(layout.fades.map((seconds) => toFrames(seconds, 30)), [15, 15]);
+  assert.deepEqual(layout.offsets.map((seconds) => toFrames(seconds, 30)), [16, 61]);
+  assert.equal(toFrames(layout.totalDuration, 30), 106);
+});
+
+test('offsets land on frame boundaries', () => {
+  const video = { width: 640, height: 360, fps: 24 };
+  const layout = computeTransitionLayout([slide(2.3, 0.45), slide(0.9, 0.3), slide(3.07, 1), slide(1.2)], video);
+
+  assert.deepEqual(layout.offsets, [45, 60, 110].map((frames) => frames / 24));
+  assert.equal(layout.totalDuration, 139 / 24);
+});
+
+test('clip durations match the frame count the clips are encoded with', () => {
+  const video = { width: 320, height: 180, fps: 10 };
+  const plan = [slide(2.05, 0), slide(0.71, 0), slide(4)];
+  const layout = computeTransitionLayout(plan, video);
+
+  assert.deepEqual(
+    layout.durations.map((seconds) => toFrames(seconds, 10)),
+    plan.map((entry) => getClipFrameCount(entry.config.duration, 10))
+  );
+  assert.deepEqual(layout.offsets, [2.1, 2.9]);
+});
+
+test('fades leave a frame of the shorter neighbor', () => {
+  const video = { width: 1280, height: 720, fps: 30 };
+  const layout = computeTransitionLayout([slide(1, 5), slide(3)], video);
+
+  assert.equal(toFrames(layout.fades[0], 30), 29);
+  assert.equal(toFrames(layout.offsets[0], 30), 1);
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fsp = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+const { IMAGES_DIR } = require("../render");
+const { app, pickUploadFileName, isReadableUpload } = require("../server");
+
+const createPng = () => sharp({ create: { width: 32, height: 24, channels: 3, background: "#336699" } }).png().toBuffer();
+
+test('upload names get the next free suffix', () => {
+  const taken = new Set(["photo", "photo-2", "scan"]);
+
+  assert.equal(pickUploadFileName("photo.JPG", taken), "photo-3.jpg");
+  assert.equal(pickUploadFileName("scan.png", taken), "scan-2.png");
+  assert.equal(pickUploadFileName("new.webp", taken), "new.webp");
+});
+
+test('upload names cannot leave the images folder or carry unsafe characters', () => {
+  const taken = new Set();
+
+  assert.equal(pickUploadFileName("../../etc/passwd.png", taken), "passwd.png");
+  assert.equal(pickUploadFileName("C:\\Users\\me\\holiday.png", taken), "holiday.png");
+  assert.equal(pickUploadFileName("what: \"a*view?\" <2>|.png", taken), "what_ _a_view__ _2__.png");
+  assert.equal(pickUploadFileName("tab\there\u0000.png", taken), "tab_here_.png");
+  assert.equal(pickUploadFileName("   .png", taken), "image.png");
+  assert.equal(pickUploadFileName(undefined, taken), "image");
+});
+
+test('only staged files sharp can read count as images', async (t) => {
+  const dir = await fsp.mkdtemp(path.join(os.tmpdir(), "kb-uploads-"));
+  t.after(() => fsp.rm(dir, { recursive: true, force: true }));
+  const stage = async (originalname, contents) => {
+    const filePath = path.join(dir, `${originalname}.upload`);
+    await fsp.writeFile(filePath, contents);
+    return { originalname, path: filePath, size: contents.length };
+  };
+
+  assert.equal(await isReadableUpload(await stage("photo.png", await createPng())), true);
+  assert.equal(await isReadableUpload(await stage("renamed.png", Buffer.from("not an image"))), false);
+  // RAW and HEIC files only need content; readSourceImage decides how to read them later.
+  assert.equal(await isReadableUpload(await stage("camera.cr2", Buffer.from("raw bytes"))), true);
+  assert.equal(await isReadableUpload(await stage("empty.heic", Buffer.alloc(0))), false);
+});
+
+test('uploads report unsupported and unreadable files and rename duplicates', async (t) => {
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise((resolve) => server.once("listening", resolve));
+  const baseName = `upload-test-${process.pid}`;
+  t.after(async () => {
+    server.close();
+    await Promise.all([`${baseName}.png`, `${baseName}-2.png`].map((fileName) => fsp.rm(path.join(IMAGES_DIR, fileName), { force: true })));
+  });
+
+  const png = await createPng();
+  const form = new FormData();
+  form.append("images", new Blob([png]), `${baseName}.png`);
+  form.append("images", new Blob(["notes"]), "notes.txt");
+  form.append("images", new Blob(["not an image"]), "broken.png");
+  form.append("images", new Blob([png]), `${baseName}.png`);
+  const { port } = server.address();
+  const response = await fetch(`http://127.0.0.1:${port}/api/uploads`, { method: "POST", body: form });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.images.map((image) => image.fileName), [`${baseName}.png`, `${baseName}-2.png`]);
+  assert.deepEqual(body.rejected.map((entry) => entry.fileName), ["notes.txt", "broken.png"]);
+  assert.match(body.rejected[0].error, /^Unsupported file type/);
+  assert.equal(body.rejected[1].error, "Not a readable image");
+  assert.deepEqual(await fsp.readFile(path.join(IMAGES_DIR, `${baseName}-2.png`)), png);
+});